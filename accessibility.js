@@ -0,0 +1,138 @@
+/**
+ * Accessibility Helpers
+ * Screen-reader and keyboard support shared by the chat and the sliders: a live region that
+ * reads out Pablo's messages, spoken labels for the emoji-labelled MBTI sliders, a text
+ * description of the portrait on the canvas and which controls keep typed keys to themselves
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * Create an invisible region whose new lines screen readers read out
+   * @returns {HTMLElement} Region, already added to the page
+   */
+  function createLiveRegion() {
+    const region = document.createElement('div');
+    region.setAttribute('role', 'log');
+    region.setAttribute('aria-live', 'polite');
+    region.className = 'visually-hidden'; // See index.html
+    document.body.appendChild(region);
+    return region;
+  }
+
+  /**
+   * Read a line out through a live region
+   * Lines are appended rather than replaced so quick successive messages are all read
+   * @param {HTMLElement} region - From createLiveRegion
+   * @param {string} text - Line to read
+   */
+  function announce(region, text) {
+    if (!region || !text) return;
+
+    const line = document.createElement('div');
+    line.textContent = text;
+    region.appendChild(line);
+
+    // Old lines have been read already; keep the region short
+    while (region.childNodes.length > CONFIG.ACCESSIBILITY.LIVE_REGION_LINES) {
+      region.removeChild(region.firstChild);
+    }
+  }
+
+  /**
+   * Spoken name of an MBTI slider ("Extraverted to Introverted")
+   * @param {number} axisIndex - Index into CONFIG.MBTI.AXES
+   * @returns {string} Label
+   */
+  function getSliderLabel(axisIndex) {
+    const axis = CONFIG.MBTI.AXES[axisIndex];
+    return FaceApp.I18n.t('sliders.label', {
+      left: FaceApp.I18n.t(`axis.${axis}.left`),
+      right: FaceApp.I18n.t(`axis.${axis}.right`)
+    });
+  }
+
+  /**
+   * Spoken value of an MBTI slider ("60% Introverted")
+   * @param {number} axisIndex - Index into CONFIG.MBTI.AXES
+   * @param {number} value - Slider value in [-1, 1]
+   * @returns {string} Value text
+   */
+  function getSliderValueText(axisIndex, value) {
+    // Same dead zone as the "Neutral" value label next to the sliders
+    if (Math.abs(value) < 0.1) {
+      return FaceApp.I18n.t('sliders.neutral');
+    }
+
+    const axis = CONFIG.MBTI.AXES[axisIndex];
+    return FaceApp.I18n.t('sliders.leaning', {
+      percent: Math.round(Math.abs(value) * 100),
+      side: FaceApp.I18n.t(`axis.${axis}.${value < 0 ? 'left' : 'right'}`)
+    });
+  }
+
+  /**
+   * Give a range input a spoken label and value that follow its position
+   * @param {HTMLInputElement} slider - Range input from -1 to 1
+   * @param {number} axisIndex - Index into CONFIG.MBTI.AXES
+   */
+  function labelSlider(slider, axisIndex) {
+    const update = () => {
+      slider.setAttribute('aria-valuetext', getSliderValueText(axisIndex, parseFloat(slider.value)));
+    };
+
+    slider.setAttribute('aria-label', getSliderLabel(axisIndex));
+    update();
+    slider.addEventListener('input', update);
+  }
+
+  /**
+   * Describe which library variant each feature is drawn from
+   * @param {Object} shapeIndices - From AppState.getShapeIndices (fractional in continuous mode)
+   * @param {Object} librarySizes - Variants per feature (AppState.getLibrarySizes)
+   * @returns {string} Description, e.g. "Portrait drawn with head shape variant 2 of 6; ..."
+   */
+  function describePortrait(shapeIndices, librarySizes) {
+    const { t } = FaceApp.I18n;
+
+    const features = Object.entries(shapeIndices).map(([feature, position]) => {
+      const lower = Math.floor(position);
+      const name = t(`portrait.feature.${feature}`);
+      const faceCount = librarySizes[feature] || 0;
+
+      // Continuous mode can sit between two files
+      if (position > lower && lower + 1 < faceCount) {
+        return t('portrait.blend', { feature: name, a: lower + 1, b: lower + 2 });
+      }
+      return t('portrait.variant', { feature: name, n: lower + 1, count: faceCount });
+    });
+
+    return t('portrait.description', { features: features.join('; ') });
+  }
+
+  // Input types that take typed text; sliders, checkboxes and buttons leave letter keys to the shortcuts
+  const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', 'number'];
+
+  /**
+   * Whether an element takes typed text, so key shortcuts should leave it alone
+   * @param {Element} element - Focused element or key event target
+   * @returns {boolean} True for text boxes, text areas and editable content
+   */
+  function isTextEntry(element) {
+    if (!element) return false;
+    if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+    return element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes((element.type || 'text').toLowerCase());
+  }
+
+  // Export public interface
+  FaceApp.Accessibility = {
+    createLiveRegion,
+    announce,
+    getSliderLabel,
+    getSliderValueText,
+    labelSlider,
+    describePortrait,
+    isTextEntry
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -16,11 +16,15 @@
       this.targetShapes = null;
       this.morphedShapes = null; // Intermediate morphed shapes
       this.animation = null; // Current anime.js animation
+      this.transition = 'morph'; // 'morph', or 'fade' in reduced-motion mode
+      this.fadeFromShapes = null; // Shapes fading out during a crossfade
       this.onUpdateCallback = null;
       this.onCompleteCallback = null;
 
       // Animation progress (0 to 1)
       this.progress = { value: 1 };
+      this.animationStartTime = null; // performance.now() when the current morph started
+      this.scheduledMorph = null; // { shapes, startsAt } while a morph waits out MORPH.START_DELAY_SEC
     }
 
     /**
@@ -39,6 +43,8 @@
      * @param {Function} onComplete - Callback called when animation completes
      */
     morphTo(targetShapes, onUpdate = null, onComplete = null) {
+      this.scheduledMorph = null;
+
       // If already morphing, update the target smoothly
       if (this.state === 'morphing' && this.animation) {
         this.targetShapes = this.deepCloneShapes(targetShapes);
@@ -62,24 +68,57 @@
       this.startAnimation();
     }
 
+    /**
+     * Announces a morph that morphTo will start after a delay, so getShapesAt can
+     * follow it before it begins
+     * @param {Object} targetShapes - Shapes the morph will go to
+     * @param {number} delayMs - Milliseconds until morphTo is called
+     */
+    scheduleMorph(targetShapes, delayMs) {
+      this.scheduledMorph = {
+        shapes: this.deepCloneShapes(targetShapes),
+        startsAt: performance.now() + delayMs
+      };
+    }
+
+    /**
+     * Forgets a morph announced with scheduleMorph that is not going to start
+     */
+    cancelScheduledMorph() {
+      this.scheduledMorph = null;
+    }
+
     /**
      * Starts the anime.js animation
      */
     startAnimation() {
+      const fade = FaceApp.Motion.isReduced();
       this.state = 'morphing';
+      this.transition = fade ? 'fade' : 'morph';
       this.progress.value = 0;
+      this.animationStartTime = performance.now();
 
       // Stop any existing animation
       if (this.animation) {
         this.animation.pause();
       }
 
+      if (fade) {
+        // Swap to the new face straight away and fade it in over the one on screen
+        this.fadeFromShapes = this.deepCloneShapes(this.getCurrentShapes());
+        this.morphedShapes = this.deepCloneShapes(this.targetShapes);
+        if (CONFIG.MOTION.CROSSFADE_SEC <= 0) {
+          this.completeAnimation();
+          return;
+        }
+      }
+
       // Create smooth anime.js animation
       this.animation = anime({
         targets: this.progress,
         value: 1,
-        duration: CONFIG.ANIMATION.MORPH.DURATION_SEC * 1000,
-        easing: 'easeOutCubic',
+        duration: fade ? CONFIG.MOTION.CROSSFADE_SEC * 1000 : CONFIG.ANIMATION.MORPH.DURATION_SEC * 1000,
+        easing: fade ? 'linear' : 'easeOutCubic',
         update: () => {
           this.updateMorphedShapes();
           if (this.onUpdateCallback) {
@@ -98,17 +137,82 @@
     updateMorphedShapes() {
       if (!this.currentShapes || !this.targetShapes) return;
 
-      const t = this.progress.value;
-      this.morphedShapes = {};
+      // A crossfade shows the target as-is (morphTo may have retargeted it)
+      this.morphedShapes = this.transition === 'fade'
+        ? this.targetShapes
+        : this.interpolateShapes(this.progress.value);
+    }
 
-      // Morph each feature
-      ['head', 'left_eye', 'right_eye', 'mouth'].forEach(feature => {
-        this.morphedShapes[feature] = this.morphFeaturePoints(
-          this.currentShapes[feature] || [],
-          this.targetShapes[feature] || [],
-          t
+    /**
+     * Interpolates every feature between current and target shapes
+     * @param {number} t - Eased progress (0 = current, 1 = target)
+     * @param {Object} from - Shapes at t = 0 (defaults to the current shapes)
+     * @param {Object} to - Shapes at t = 1 (defaults to the target shapes)
+     * @returns {Object} Interpolated shapes
+     */
+    interpolateShapes(t, from = this.currentShapes, to = this.targetShapes) {
+      const shapes = {};
+
+      // Morph each feature stroke by stroke; strokes only one face has fade in or out
+      Object.keys(CONFIG.FACES.PARTS).forEach(feature => {
+        shapes[feature] = FaceApp.utils.morphStrokes(
+          from[feature] || [],
+          to[feature] || [],
+          t,
+          (points1, points2, factor) => this.morphFeaturePoints(points1, points2, factor)
         );
       });
+
+      return shapes;
+    }
+
+    /**
+     * Snapshot of what is on screen now and of the running morph, or of the one waiting
+     * out its start delay, so frames can be rendered later without the morph moving on
+     * underneath them (used for offline frame capture)
+     * @returns {Object} { capturedAt, shapes, morph: { from, to, startsAt } or null }
+     */
+    captureMorph() {
+      const snapshot = {
+        capturedAt: performance.now(),
+        shapes: this.deepCloneShapes(this.getCurrentShapes()),
+        morph: null
+      };
+
+      if (this.state === 'morphing') {
+        if (this.transition !== 'fade' && this.currentShapes && this.targetShapes) {
+          snapshot.morph = {
+            from: this.deepCloneShapes(this.currentShapes),
+            to: this.deepCloneShapes(this.targetShapes),
+            startsAt: this.animationStartTime
+          };
+        }
+      } else if (this.scheduledMorph && this.currentShapes && !FaceApp.Motion.isReduced()) {
+        snapshot.morph = {
+          from: this.deepCloneShapes(this.currentShapes),
+          to: this.scheduledMorph.shapes,
+          startsAt: this.scheduledMorph.startsAt
+        };
+      }
+
+      return snapshot;
+    }
+
+    /**
+     * Predicts the displayed shapes at a time offset from a snapshot, following the
+     * morph's easing without waiting for anime.js
+     * @param {number} offsetMs - Milliseconds after the snapshot was taken
+     * @param {Object} snapshot - From captureMorph (pass the same one for every frame of a clip)
+     * @returns {Object} Shapes as they will be displayed at that moment
+     */
+    getShapesAt(offsetMs, snapshot = this.captureMorph()) {
+      const { capturedAt, shapes, morph } = snapshot;
+      if (!morph) return shapes;
+
+      // Before a scheduled morph starts this clamps to 0, i.e. the shapes it starts from
+      const elapsed = capturedAt + offsetMs - morph.startsAt;
+      const linear = Math.max(0, Math.min(1, elapsed / (CONFIG.ANIMATION.MORPH.DURATION_SEC * 1000)));
+      return this.interpolateShapes(FaceApp.utils.easeOutCubic(linear), morph.from, morph.to);
     }
 
     /**
@@ -120,6 +224,7 @@
       this.morphedShapes = this.deepCloneShapes(this.targetShapes);
       this.progress.value = 1;
       this.animation = null;
+      this.fadeFromShapes = null;
 
       if (this.onCompleteCallback) {
         this.onCompleteCallback(this.morphedShapes);
@@ -134,6 +239,17 @@
       return this.morphedShapes || this.currentShapes;
     }
 
+    /**
+     * The face fading out while a reduced-motion crossfade runs
+     * @returns {Object|null} { shapes, opacity } to draw under getCurrentShapes, or null when not fading
+     */
+    getFadingShapes() {
+      if (this.state !== 'morphing' || this.transition !== 'fade' || !this.fadeFromShapes) {
+        return null;
+      }
+      return { shapes: this.fadeFromShapes, opacity: 1 - this.progress.value };
+    }
+
     /**
      * Checks if animation is currently running
      * @returns {boolean} True if morphing
@@ -162,12 +278,12 @@
       if (!shapes) return null;
 
       const cloned = {};
-      ['head', 'left_eye', 'right_eye', 'mouth'].forEach(feature => {
+      Object.keys(CONFIG.FACES.PARTS).forEach(feature => {
         if (shapes[feature]) {
-          cloned[feature] = shapes[feature].map(point => ({
+          cloned[feature] = FaceApp.utils.mapStrokePoints(shapes[feature], points => points.map(point => ({
             x: point.x,
             y: point.y
-          }));
+          })));
         }
       });
       return cloned;
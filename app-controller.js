@@ -16,6 +16,7 @@
       this.faceGenerator = new FaceApp.FaceGenerator(this.appState);
       this.canvasManager = new FaceApp.CanvasManager(this.appState);
       this.animationController = new FaceApp.AnimationController();
+      this.recorder = new FaceApp.Recorder(this.appState, this.animationController, this.addOrganicNoise.bind(this));
 
       // UI components
       this.chatUI = null;
@@ -27,6 +28,10 @@
       // Timeout used to schedule the actual start of the shape morph (start delay)
       this.morphStartTimeout = null;
       this.currentShapeIndices = null; // Tracks last rendered discrete indices
+      this.shareLinkTimeout = null; // Debounces URL hash updates
+
+      // Portrait restored from a share link (null for a fresh visit)
+      this.sharedState = null;
 
       // Bind methods
       this.handleMBTIChange = this.handleMBTIChange.bind(this);
@@ -48,21 +53,38 @@
       // Initialize canvas
       this.canvasManager.initialize(windowWidth, windowHeight);
 
-      // Load face data
+      // Restore a shared portrait from the URL hash (face folder must be set before loading)
+      if (CONFIG.SHARE.ENABLED) {
+        this.sharedState = FaceApp.ShareLink.read();
+        if (this.sharedState && this.sharedState.folder) {
+          CONFIG.FACES.PATH = this.sharedState.folder;
+        }
+      }
+
+      // Strings and chat files depend on the locale
+      await FaceApp.I18n.load();
+      FaceApp.I18n.applyToDocument();
+      FaceApp.Motion.init();
+
+      // Load face data (bad files are skipped rather than failing the whole load)
       await this.faceGenerator.loadFaceData();
+      this.showFaceDataNotice(this.faceGenerator.loadReport);
 
       // Initialize MBTI system
-      this.appState.updateMBTI(CONFIG.MBTI.DEFAULT_VALUES);
+      if (this.sharedState) {
+        // Jump straight to the shared face instead of starting from face_1
+        this.appState.updateMBTI(this.sharedState.mbti);
+        this.appState.markUserInteraction();
+      } else {
+        this.appState.updateMBTI(CONFIG.MBTI.DEFAULT_VALUES);
+      }
 
       // Initialize animation controller with initial shapes
       const initialShapes = this.appState.generateCurrentFaceShapes();
       this.animationController.setInitialShapes(initialShapes);
       // Record initial discrete indices for change detection
       if (this.appState.isDataLoaded) {
-        this.currentShapeIndices = this.faceGenerator.getShapeIndices(
-          this.appState.faceParams,
-          this.appState.faceSets.length
-        );
+        this.currentShapeIndices = this.faceGenerator.getShapeIndices(this.appState.faceParams);
       }
 
       // Setup UI components
@@ -80,8 +102,10 @@
     setupStateListeners() {
       this.appState.on('mbti-changed', (data) => {
         this.updateParameterDisplay();
+        this.updatePortraitDescription();
         this.handleShapeUpdate(data.faceParams);
         this.updateGlobalReferences();
+        this.scheduleShareLinkUpdate();
       });
 
       this.appState.on('mode-changed', (data) => {
@@ -96,6 +120,7 @@
 
       this.appState.on('user-interaction-started', (data) => {
         console.log('User interaction started - beginning transition from face_1 to dynamic shapes');
+        this.updatePortraitDescription();
         // Force immediate shape update to trigger morphing from face_1 to current calculated shapes
         const newShapes = this.appState.generateCurrentFaceShapes();
         if (newShapes) {
@@ -111,11 +136,59 @@
       // Initialize chat UI
       setTimeout(() => {
         this.initializeChatUI();
-        this.updateModeIndicator('Chat - Talk to Pablo');
+        this.updateModeIndicator(FaceApp.I18n.t('mode.chat'));
       }, 100);
 
       // Setup event handlers
       this.setupEventHandlers();
+
+      if (CONFIG.MOTION.SHOW_TOGGLE) {
+        this.setupMotionToggle();
+      }
+    }
+
+    /**
+     * Tell the user when face files were skipped or the built-in face is shown
+     * @param {Object} report - FaceGenerator.loadReport
+     */
+    showFaceDataNotice(report) {
+      const notice = document.getElementById('faceDataNotice');
+      if (!notice || !CONFIG.FACES.VALIDATION.SHOW_WARNING) return;
+
+      const { t } = FaceApp.I18n;
+      const lines = [];
+      if (report.skipped.length > 0) {
+        const files = report.skipped.map(filePath => filePath.split('/').pop()).join(', ');
+        lines.push(t('faces.skipped', { files }));
+      }
+      if (report.fallback) {
+        lines.push(t('faces.fallback'));
+      }
+      if (lines.length === 0) return;
+
+      notice.textContent = lines.join(' ');
+      notice.style.display = 'block';
+    }
+
+    /**
+     * Show the reduce motion toggle and keep its label in step with the setting
+     */
+    setupMotionToggle() {
+      const toggle = document.getElementById('motionToggle');
+      if (!toggle) return;
+
+      const update = () => {
+        const reduced = FaceApp.Motion.isReduced();
+        toggle.textContent = FaceApp.I18n.t('motion.toggle', {
+          state: FaceApp.I18n.t(reduced ? 'motion.on' : 'motion.off')
+        });
+        toggle.setAttribute('aria-pressed', String(reduced));
+      };
+
+      toggle.onclick = () => FaceApp.Motion.setReduced(!FaceApp.Motion.isReduced());
+      FaceApp.Motion.onChange(update);
+      update();
+      toggle.style.display = 'block';
     }
 
     /**
@@ -128,7 +201,10 @@
         return;
       }
 
-      this.chatUI = new FaceApp.ChatUI('chatContainer', this.handleWorkflowChange, this.handleChatMBTIUpdate);
+      this.chatUI = new FaceApp.ChatUI('chatContainer', this.handleWorkflowChange, this.handleChatMBTIUpdate, {
+        startInSelfMode: !!this.sharedState,
+        appState: this.appState
+      });
       console.log('Chat UI initialized');
     }
 
@@ -142,14 +218,22 @@
         resetBtn.onclick = () => {
           if (this.chatUI) {
             this.chatUI.reset();
-            this.appState.updateMode('chat');
-            this.updateUIDescription('Chat with Pablo to create your portrait');
-            this.updateModeIndicator('Chat - Talk to Pablo');
-            this.appState.portraitSize = CONFIG.CANVAS.SIZE_RATIO;
+            this.handleWorkflowChange('chat');
+            this.clearShareLink();
           }
         };
       }
 
+      // Follow share links pasted into an already open tab
+      if (CONFIG.SHARE.ENABLED) {
+        window.addEventListener('hashchange', () => {
+          const sharedState = FaceApp.ShareLink.read();
+          if (sharedState) {
+            this.handleMBTIChange(sharedState.mbti);
+          }
+        });
+      }
+
       // Randomize button
       const randomBtn = document.getElementById('randomBtn');
       if (randomBtn) {
@@ -161,15 +245,20 @@
 
     /**
      * Handle workflow changes from chat interface
-     * @param {string} workflow - 'qa' for Q&A mode, 'self' for self-adjustment mode
+     * @param {string} workflow - 'chat' for the intro, 'qa' for Q&A mode, 'self' for self-adjustment mode
      */
     handleWorkflowChange(workflow) {
       console.log('Workflow changed to:', workflow);
 
-      if (workflow === 'qa') {
+      if (workflow === 'chat') {
+        this.appState.updateMode('chat');
+        this.updateUIDescription(FaceApp.I18n.t('description.chat'));
+        this.updateModeIndicator(FaceApp.I18n.t('mode.chat'));
+        this.appState.portraitSize = CONFIG.CANVAS.SIZE_RATIO;
+      } else if (workflow === 'qa') {
         this.appState.updateMode('qa');
-        this.updateUIDescription('Answer Pablo\'s questions to build your portrait');
-        this.updateModeIndicator('Q&A - Answer Pablo\'s questions');
+        this.updateUIDescription(FaceApp.I18n.t('description.qa'));
+        this.updateModeIndicator(FaceApp.I18n.t('mode.qa'));
         this.appState.portraitSize = CONFIG.CANVAS.SIZE_RATIO;
 
         // Set MBTI UI to read-only during QA mode
@@ -178,8 +267,8 @@
         }
       } else if (workflow === 'self') {
         this.appState.updateMode('self');
-        this.updateUIDescription('Use the sliders on the phone to adjust your portrait');
-        this.updateModeIndicator('Self-adjustment - Use phone sliders');
+        this.updateUIDescription(FaceApp.I18n.t('description.self'));
+        this.updateModeIndicator(FaceApp.I18n.t('mode.self'));
         this.appState.portraitSize = CONFIG.CANVAS.SIZE_RATIO;
 
         // Enable MBTI UI sliders for self-adjustment mode
@@ -189,18 +278,48 @@
       }
     }
 
+    /**
+     * Write the current portrait to the URL hash once values settle
+     * Nothing is written before the user interacts, so a fresh visit keeps a clean URL
+     */
+    scheduleShareLinkUpdate() {
+      if (!CONFIG.SHARE.ENABLED || !this.appState.hasUserInteracted) return;
+
+      if (this.shareLinkTimeout) {
+        clearTimeout(this.shareLinkTimeout);
+      }
+
+      this.shareLinkTimeout = setTimeout(() => {
+        this.shareLinkTimeout = null;
+        FaceApp.ShareLink.write({
+          mbti: this.appState.mbti,
+          folder: CONFIG.FACES.PATH
+        });
+      }, CONFIG.SHARE.SYNC_DELAY_MS);
+    }
+
+    /**
+     * Remove the portrait from the URL so a reload starts a fresh chat
+     */
+    clearShareLink() {
+      if (!CONFIG.SHARE.ENABLED) return;
+
+      if (this.shareLinkTimeout) {
+        clearTimeout(this.shareLinkTimeout);
+        this.shareLinkTimeout = null;
+      }
+      FaceApp.ShareLink.clear();
+    }
+
     /**
      * Handle MBTI updates from chat Q&A
-     * @param {Array} mbtiScores - Raw accumulated scores from chat
+     * @param {Array} mbtiScores - Scores normalized by ChatUI (see CONFIG.CHAT.SCORE_NORMALIZATION)
      */
     handleChatMBTIUpdate(mbtiScores) {
       console.log('Chat MBTI update:', mbtiScores);
 
-      // Normalize scores to [-1, 1] range
-      const normalizedScores = mbtiScores.map(score => {
-        const scaled = score * 1.0;
-        return Math.max(-1, Math.min(1, scaled));
-      });
+      // Guard the [-1, 1] range
+      const normalizedScores = mbtiScores.map(score => Math.max(-1, Math.min(1, score)));
 
       // In QA mode we want immediate visible response but still optionally
       // run a smoothing animation. Update MBTI immediately so shapes can
@@ -211,8 +330,11 @@
         this.appState.updateMBTI(normalizedScores, true);
 
         // Then start morphing-to (this will interpolate MBTI over DURATION_SEC)
-        // but we also schedule startShapeMorphing after CONFIG.ANIMATION.MORPH.START_DELAY_SEC
-        this.startMorphingTo(normalizedScores);
+        // but we also schedule startShapeMorphing after CONFIG.ANIMATION.MORPH.START_DELAY_SEC.
+        // Reduced motion skips both: the shape update from updateMBTI crossfades right away
+        if (!FaceApp.Motion.isReduced()) {
+          this.startMorphingTo(normalizedScores);
+        }
       } else {
         // Update immediately in other modes - mark as user interaction
         this.appState.updateMBTI(normalizedScores, true);
@@ -291,6 +413,12 @@
 
       const startDelay = (CONFIG.ANIMATION.MORPH.START_DELAY_SEC || 0) * 1000;
       if (startDelay > 0) {
+        // Lets recordings started during the delay include the coming morph
+        const scheduledShapes = this.appState.generateCurrentFaceShapes();
+        if (scheduledShapes) {
+          this.animationController.scheduleMorph(scheduledShapes, startDelay);
+        }
+
         this.morphStartTimeout = setTimeout(() => {
           // Cancel any pending debounced morph so we start deterministically
           if (this.morphTimeout) {
@@ -345,12 +473,13 @@
      */
     startShapeMorphing(newShapes, newParams) {
       // Compute new discrete indices from incoming params
-      const newIndices = this.faceGenerator.getShapeIndices(newParams, this.appState.faceSets.length);
+      const newIndices = this.faceGenerator.getShapeIndices(newParams);
       const currentIndices = this.currentShapeIndices;
 
       // If we don't have a baseline yet, proceed to morph
       if (currentIndices && JSON.stringify(currentIndices) === JSON.stringify(newIndices)) {
         console.log('Skipping morph - same discrete shape indices:', currentIndices);
+        this.animationController.cancelScheduledMorph();
         return;
       }
 
@@ -385,8 +514,18 @@
      * @param {string} key - Pressed key
      */
     handleKeyPress(key) {
-      if (key.toLowerCase() === CONFIG.UI.SHORTCUTS.SAVE_KEY) {
+      // Letters typed into the chat's answer box are not shortcuts (a focused slider still lets them through)
+      if (FaceApp.Accessibility.isTextEntry(document.activeElement)) return;
+
+      const pressed = key.toLowerCase();
+      if (pressed === CONFIG.UI.SHORTCUTS.SAVE_KEY) {
         this.saveCanvas();
+      } else if (pressed === CONFIG.UI.SHORTCUTS.SAVE_SVG_KEY) {
+        this.saveCanvasSVG();
+      } else if (pressed === CONFIG.UI.SHORTCUTS.RECORD_GIF_KEY) {
+        this.recorder.record({ format: 'gif' });
+      } else if (pressed === CONFIG.UI.SHORTCUTS.RECORD_FRAMES_KEY) {
+        this.recorder.record({ format: 'zip' });
       }
     }
 
@@ -398,6 +537,14 @@
       this.canvasManager.saveCanvasArea(currentShapes, this.addOrganicNoise.bind(this));
     }
 
+    /**
+     * Save canvas area as SVG
+     */
+    saveCanvasSVG() {
+      const currentShapes = this.animationController.getCurrentShapes();
+      this.canvasManager.saveCanvasSVG(currentShapes, this.addOrganicNoise.bind(this));
+    }
+
     /**
      * Randomize MBTI values
      */
@@ -432,17 +579,21 @@
       // Apply organic animation
       const movementStrength = (this.appState.faceParams.movement || 0) * 0.5 + 0.5;
       const points = {
-        head: CONFIG.ANIMATION.ORGANIC_NOISE.ENABLED
-          ? this.addOrganicNoise(facePoints.head, millis(), movementStrength)
-          : facePoints.head,
-        left_eye: facePoints.left_eye,
-        right_eye: facePoints.right_eye,
-        mouth: facePoints.mouth
+        ...facePoints,
+        head: CONFIG.ANIMATION.ORGANIC_NOISE.ENABLED && !FaceApp.Motion.isReduced()
+          ? FaceApp.utils.mapStrokePoints(facePoints.head, points => this.addOrganicNoise(points, millis(), movementStrength))
+          : facePoints.head
       };
 
-      // Render the face
+      // Render the face (over the previous one while a reduced-motion crossfade runs)
       const pg = this.canvasManager.getGraphicsBuffer();
-      FaceApp.Renderer.composeFace(pg, points, cx, cy, canvasSize);
+      const fading = this.animationController.getFadingShapes();
+      if (fading) {
+        FaceApp.Renderer.composeFace(pg, fading.shapes, cx, cy, canvasSize, { opacity: fading.opacity });
+        FaceApp.Renderer.composeFace(pg, points, cx, cy, canvasSize, { opacity: 1 - fading.opacity });
+      } else {
+        FaceApp.Renderer.composeFace(pg, points, cx, cy, canvasSize);
+      }
       this.canvasManager.renderToCanvas();
 
       // Draw debug border if enabled
@@ -499,6 +650,21 @@
       });
     }
 
+    /**
+     * Describe the features on the canvas for screen readers
+     */
+    updatePortraitDescription() {
+      const element = document.getElementById('portraitDescription');
+      if (!element || !this.appState.isDataLoaded) return;
+
+      // Until the first interaction every feature is drawn from its default variant
+      const shapeIndices = this.appState.hasUserInteracted
+        ? this.appState.getShapeIndices()
+        : this.appState.getInitialIndices();
+
+      element.textContent = FaceApp.Accessibility.describePortrait(shapeIndices, this.appState.getLibrarySizes());
+    }
+
     /**
      * Update UI description
      * @param {string} text - Description text
@@ -517,7 +683,7 @@
     updateModeIndicator(mode) {
       const element = document.getElementById('modeIndicator');
       if (element) {
-        element.textContent = `Mode: ${mode}`;
+        element.textContent = FaceApp.I18n.t('mode.label', { mode });
       }
     }
 
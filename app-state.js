@@ -23,7 +23,8 @@
       this.hasUserInteracted = false; // Track if user has started interacting
 
       // Data
-      this.faceSets = [];
+      this.libraries = {}; // { feature: [face set, ...] } keyed like CONFIG.FACES.LIBRARY_PARTS (optional ones may be empty)
+      this.faceManifest = null; // From FaceManifest.parse, describes libraries
       this.isDataLoaded = false;
 
       // Event listeners
@@ -137,12 +138,47 @@
 
     /**
      * Set face data
-     * @param {Array} faceSets - Loaded face data
+     * @param {Object} libraries - Loaded feature libraries ({ feature: [face set, ...] })
+     * @param {Object} manifest - Manifest the libraries were loaded from, optional
      */
-    setFaceData(faceSets) {
-      this.faceSets = faceSets;
+    setFaceData(libraries, manifest = null) {
+      this.libraries = libraries;
+      this.faceManifest = manifest;
+      this.shapeCache.clear();
       this.isDataLoaded = true;
-      this.emit('data-loaded', { faceSets });
+      this.emit('data-loaded', { libraries, manifest });
+    }
+
+    /**
+     * Features with at least one variant loaded, in CONFIG.FACES.LIBRARY_PARTS order
+     * @returns {Array} Feature names
+     */
+    getLoadedFeatures() {
+      return Object.keys(CONFIG.FACES.LIBRARY_PARTS).filter(feature => (this.libraries[feature] || []).length > 0);
+    }
+
+    /**
+     * Number of variants in each loaded feature library
+     * @returns {Object} { feature: count }
+     */
+    getLibrarySizes() {
+      const sizes = {};
+      this.getLoadedFeatures().forEach(feature => {
+        sizes[feature] = this.libraries[feature].length;
+      });
+      return sizes;
+    }
+
+    /**
+     * Library index each feature starts on before the user interacts
+     * @returns {Object} { feature: index }
+     */
+    getInitialIndices() {
+      const indices = {};
+      this.getLoadedFeatures().forEach(feature => {
+        indices[feature] = Math.min(CONFIG.BLENDING.DEFAULT_FACE, this.libraries[feature].length - 1);
+      });
+      return indices;
     }
 
     /**
@@ -176,19 +212,19 @@
     generateCurrentFaceShapes() {
       if (!this.isDataLoaded) return null;
 
-      // Always use face_1 (index 0) until user interacts
-      if (!this.hasUserInteracted && this.faceSets.length > 0) {
-        const initialFace = this.faceSets[0]; // face_1.json
-        return {
-          head: initialFace.head || [],
-          left_eye: initialFace.left_eye || [],
-          right_eye: initialFace.right_eye || [],
-          mouth: initialFace.mouth || []
-        };
+      // Always use the default variant of each feature until user interacts
+      if (!this.hasUserInteracted) {
+        const initialIndices = this.getInitialIndices();
+        const shapes = {};
+        Object.entries(CONFIG.FACES.LIBRARY_PARTS).forEach(([feature, parts]) => {
+          const initialFace = initialIndices[feature] !== undefined && this.libraries[feature][initialIndices[feature]];
+          parts.forEach(part => {
+            shapes[part] = initialFace ? initialFace[part] || [] : [];
+          });
+        });
+        return shapes;
       }
 
-      const faceCount = this.faceSets.length;
-
       // Create cache key from current shape indices
       const shapeIndices = this.getShapeIndices();
       const cacheKey = JSON.stringify(shapeIndices);
@@ -199,12 +235,7 @@
       }
 
       // Generate new shapes based on current parameters
-      const shapes = {
-        head: this.getFeatureFromScore(this.faceParams.head || 0, 'head', faceCount),
-        left_eye: this.getFeatureFromScore(this.faceParams.eye || 0, 'left_eye', faceCount),
-        right_eye: this.getFeatureFromScore(this.faceParams.eye || 0, 'right_eye', faceCount),
-        mouth: this.getFeatureFromScore(this.faceParams.mouth || 0, 'mouth', faceCount)
-      };
+      const shapes = this.buildFaceShapes(this.faceParams);
 
       // Cache the result
       this.shapeCache.set(cacheKey, shapes);
@@ -221,39 +252,61 @@
     }
 
     /**
-     * Get shape indices for current face parameters
-     * @returns {Object} Shape indices for each feature
+     * Build face shapes for the given face parameters (no caching)
+     * Each feature is picked from its own library, so the parts can come from different files
+     * @param {Object} faceParams - Face parameters
+     * @returns {Object} Face shapes for each feature
+     */
+    buildFaceShapes(faceParams) {
+      const shapes = {};
+
+      Object.entries(CONFIG.FACES.LIBRARY_PARTS).forEach(([feature, parts]) => {
+        const library = this.libraries[feature] || [];
+        parts.forEach(part => {
+          // Optional features nobody drew have an empty library
+          shapes[part] = library.length > 0 ? this.getFeatureFromScore(faceParams[feature] || 0, library, part) : [];
+        });
+      });
+
+      return shapes;
+    }
+
+    /**
+     * Get shape indices for face parameters
+     * In continuous mode the "index" is a fractional position between two library entries
+     * @param {Object} faceParams - Face parameters (defaults to current)
+     * @returns {Object} Library index for each feature
      */
-    getShapeIndices() {
-      const faceCount = this.faceSets.length;
+    getShapeIndices(faceParams = this.faceParams) {
       const indices = {};
 
-      ['head', 'eye', 'mouth'].forEach(feature => {
-        const score = this.faceParams[feature] || 0;
-        const clampedScore = Math.max(-1, Math.min(1, score));
-        const normalizedScore = (clampedScore + 1) / 2;
-        const segmentSize = 1.0 / faceCount;
-        let selectedIndex = Math.floor(normalizedScore / segmentSize);
-        if (selectedIndex >= faceCount) selectedIndex = faceCount - 1;
-        indices[feature] = selectedIndex;
+      this.getLoadedFeatures().forEach(feature => {
+        indices[feature] = this.getScorePosition(faceParams[feature] || 0, this.libraries[feature].length);
       });
 
       return indices;
     }
 
     /**
-     * Maps a score to a feature by selecting from face files
+     * Maps a score to a position along a feature library
      * @param {number} score - Score parameter (-1 to +1)
-     * @param {string} featureName - Name of the feature
-     * @param {number} faceCount - Number of available face files
-     * @returns {Array} Selected feature points
+     * @param {number} faceCount - Number of entries in the library
+     * @returns {number} Integer file index in discrete mode, fractional position in continuous mode
      */
-    getFeatureFromScore(score, featureName, faceCount) {
+    getScorePosition(score, faceCount) {
       // Clamp score to [-1, 1] range
       const clampedScore = Math.max(-1, Math.min(1, score));
 
-      // Map score [-1, 1] to discrete face index [0, faceCount-1]
-      const normalizedScore = (clampedScore + 1) / 2; // Convert [-1,1] to [0,1]
+      // Map score [-1, 1] to [0, 1]
+      const normalizedScore = (clampedScore + 1) / 2;
+
+      if (CONFIG.MBTI.SELECTION_MODE === 'continuous') {
+        // Spread the files evenly along the score range: -1 = first file, +1 = last file
+        const position = normalizedScore * Math.max(0, faceCount - 1);
+        const step = CONFIG.MBTI.CONTINUOUS.POSITION_STEP;
+        // Snap so nearby scores share a cache entry; round off float noise from the division
+        return step > 0 ? Number((Math.round(position / step) * step).toFixed(6)) : position;
+      }
 
       // Divide the score range into equal segments for each face
       const segmentSize = 1.0 / faceCount;
@@ -264,9 +317,37 @@
         selectedIndex = faceCount - 1;
       }
 
-      // Return the selected face feature directly
-      const selectedFace = this.faceSets[selectedIndex];
-      return selectedFace ? selectedFace[featureName] || [] : [];
+      return selectedIndex;
+    }
+
+    /**
+     * Maps a score to a shape part from a feature library
+     * Discrete mode returns one file's strokes as-is; continuous mode blends the two
+     * neighbouring files (each stroke resampled to a shared point count)
+     * @param {number} score - Score parameter (-1 to +1)
+     * @param {Array} library - Face sets for the feature, in score order
+     * @param {string} featureName - Shape part to read ('head', 'left_eye', ...)
+     * @returns {Array} Feature strokes
+     */
+    getFeatureFromScore(score, library, featureName) {
+      const faceCount = library.length;
+      const position = this.getScorePosition(score, faceCount);
+      const lowerIndex = Math.floor(position);
+      const upperIndex = Math.min(lowerIndex + 1, faceCount - 1);
+      const t = position - lowerIndex;
+
+      const lowerFace = library[lowerIndex];
+      const lowerPoints = lowerFace ? lowerFace[featureName] || [] : [];
+
+      // Exactly on a file (always the case in discrete mode): return its points directly
+      if (t === 0 || upperIndex === lowerIndex) {
+        return lowerPoints;
+      }
+
+      const upperFace = library[upperIndex];
+      const upperPoints = upperFace ? upperFace[featureName] || [] : [];
+
+      return FaceApp.utils.blendStrokes(lowerPoints, upperPoints, t, CONFIG.MBTI.CONTINUOUS.SAMPLE_POINTS);
     }
 
     /**
@@ -288,4 +369,4 @@
 
   // Export the AppState
   FaceApp.AppState = AppState;
-})(window);
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -21,8 +21,12 @@
      * @param {number} height - Canvas height
      */
     initialize(width, height) {
-      createCanvas(width, height);
+      const canvas = createCanvas(width, height);
       this.pg = createGraphics(width, height);
+
+      // Screen readers get the portrait as text (see AppController.updatePortraitDescription)
+      canvas.elt.setAttribute('role', 'img');
+      canvas.elt.setAttribute('aria-labelledby', 'portraitDescription');
     }
 
     /**
@@ -146,6 +150,22 @@
       image(this.pg, 0, 0);
     }
 
+    /**
+     * Freeze the organic head motion at the current moment, exactly as drawn on screen
+     * @param {Object} facePoints - Current face points
+     * @param {Function} addOrganicNoise - Organic noise function
+     * @returns {Object} Face points with the head noise applied
+     */
+    freezeOrganicMotion(facePoints, addOrganicNoise) {
+      const movementStrength = (this.appState.faceParams.movement || 0) * 0.5 + 0.5;
+      return {
+        ...facePoints,
+        head: CONFIG.ANIMATION.ORGANIC_NOISE.ENABLED && !FaceApp.Motion.isReduced()
+          ? FaceApp.utils.mapStrokePoints(facePoints.head, points => addOrganicNoise(points, millis(), movementStrength))
+          : facePoints.head
+      };
+    }
+
     /**
      * Save only the face canvas area as a square image
      * @param {Object} facePoints - Current face points to render
@@ -168,15 +188,7 @@
       }
 
       // Apply same animation as main canvas
-      const movementStrength = (this.appState.faceParams.movement || 0) * 0.5 + 0.5;
-      const points = {
-        head: CONFIG.ANIMATION.ORGANIC_NOISE.ENABLED
-          ? addOrganicNoise(facePoints.head, millis(), movementStrength)
-          : facePoints.head,
-        left_eye: facePoints.left_eye,
-        right_eye: facePoints.right_eye,
-        mouth: facePoints.mouth
-      };
+      const points = this.freezeOrganicMotion(facePoints, addOrganicNoise);
 
       // Draw face centered in the square canvas
       FaceApp.Renderer.composeFace(faceCanvas, points, canvasSize / 2, canvasSize / 2, canvasSize);
@@ -184,6 +196,37 @@
       // Save the face canvas
       save(faceCanvas, CONFIG.UI.FILES.EXPORT_NAME, 'png');
     }
+
+    /**
+     * Save the face as an SVG with one <path> per feature
+     * @param {Object} facePoints - Current face points to render
+     * @param {Function} addOrganicNoise - Organic noise function
+     */
+    saveCanvasSVG(facePoints, addOrganicNoise) {
+      if (!facePoints) {
+        console.error('No face data available');
+        return;
+      }
+
+      // Same size as the PNG export so both files line up
+      const { canvasSize } = this.calculateCanvasPosition();
+
+      // Apply same animation as main canvas
+      const points = this.freezeOrganicMotion(facePoints, addOrganicNoise);
+
+      // No background rect: plotters and print layouts want strokes only
+      const svg = FaceApp.Renderer.composeFaceSVG(points, canvasSize);
+
+      const blob = new Blob([svg], { type: 'image/svg+xml' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = `${CONFIG.UI.FILES.EXPORT_NAME}.svg`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      // Some browsers start the download asynchronously; revoking now would hand them a dead URL
+      setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    }
   }
 
   // Export the CanvasManager
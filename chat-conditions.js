@@ -0,0 +1,261 @@
+/**
+ * Chat Conditions
+ * Parses and evaluates the `if:` expressions used by intro script branches
+ *
+ * Syntax: comparisons (<, <=, >, >=, ==, !=) between MBTI axes (e_i, s_n, t_f, j_p),
+ * variables set by earlier choices, numbers, quoted strings, true/false/null,
+ * combined with and/or/not and parentheses. A bare name is true when its value is truthy.
+ *   e_i < -0.3
+ *   wants_color and (t_f > 0 or mood == "calm")
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * Error raised for a malformed condition
+   */
+  class ConditionError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {string} expression - The condition text
+     */
+    constructor(message, expression) {
+      super(`${message} in condition "${expression}"`);
+      this.name = 'ConditionError';
+      this.expression = expression;
+    }
+  }
+
+  const COMPARISONS = ['<=', '>=', '==', '!=', '<', '>'];
+  const KEYWORDS = { and: '&&', or: '||', not: '!' };
+  const LITERALS = { true: true, false: false, null: null };
+
+  // Names like "constructor" must not be found on Object.prototype
+  const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+  /**
+   * Splits a condition into tokens
+   * @param {string} expression - Condition text
+   * @returns {Array} Tokens { type, value }
+   */
+  function tokenize(expression) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+      const rest = expression.slice(i);
+      let match;
+
+      if ((match = rest.match(/^\s+/))) {
+        i += match[0].length;
+      } else if ((match = rest.match(/^(\d+\.?\d*|\.\d+)/)) ||
+                 ((match = rest.match(/^-(\d+\.?\d*|\.\d+)/)) && !isOperand(tokens[tokens.length - 1]))) {
+        tokens.push({ type: 'literal', value: parseFloat(match[0]) });
+        i += match[0].length;
+      } else if ((match = rest.match(/^"([^"]*)"|^'([^']*)'/))) {
+        tokens.push({ type: 'literal', value: match[1] !== undefined ? match[1] : match[2] });
+        i += match[0].length;
+      } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/))) {
+        const word = match[0];
+        if (hasOwn(KEYWORDS, word)) {
+          tokens.push({ type: 'op', value: KEYWORDS[word] });
+        } else if (hasOwn(LITERALS, word)) {
+          tokens.push({ type: 'literal', value: LITERALS[word] });
+        } else {
+          tokens.push({ type: 'name', value: word });
+        }
+        i += word.length;
+      } else if ((match = rest.match(/^(<=|>=|==|!=|&&|\|\||<|>|!|\(|\))/))) {
+        tokens.push({ type: 'op', value: match[0] });
+        i += match[0].length;
+      } else {
+        throw new ConditionError(`Unexpected "${rest[0]}"`, expression);
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Whether a token ends an operand (so a following "-" is subtraction, which is unsupported)
+   */
+  function isOperand(token) {
+    return !!token && (token.type === 'literal' || token.type === 'name' || token.value === ')');
+  }
+
+  /**
+   * Parses a condition into an expression tree
+   * @param {string} expression - Condition text
+   * @returns {Object} Expression tree
+   * @throws {ConditionError} If the condition is malformed
+   */
+  function parse(expression) {
+    const text = String(expression);
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+    const fail = message => {
+      throw new ConditionError(message, text);
+    };
+
+    const parseOr = () => {
+      let node = parseAnd();
+      while (isOp('||')) {
+        pos++;
+        node = { type: 'or', left: node, right: parseAnd() };
+      }
+      return node;
+    };
+
+    const parseAnd = () => {
+      let node = parseNot();
+      while (isOp('&&')) {
+        pos++;
+        node = { type: 'and', left: node, right: parseNot() };
+      }
+      return node;
+    };
+
+    const parseNot = () => {
+      if (isOp('!')) {
+        pos++;
+        return { type: 'not', operand: parseNot() };
+      }
+      return parseComparison();
+    };
+
+    const parseComparison = () => {
+      const left = parsePrimary();
+      const token = peek();
+      if (token && token.type === 'op' && COMPARISONS.includes(token.value)) {
+        pos++;
+        return { type: 'compare', op: token.value, left, right: parsePrimary() };
+      }
+      return left;
+    };
+
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) fail('Unexpected end');
+      pos++;
+
+      if (token.type === 'literal') return { type: 'literal', value: token.value };
+      if (token.type === 'name') return { type: 'name', name: token.value };
+      if (token.value === '(') {
+        const node = parseOr();
+        if (!isOp(')')) fail('Missing ")"');
+        pos++;
+        return node;
+      }
+      return fail(`Unexpected "${token.value}"`);
+    };
+
+    if (tokens.length === 0) fail('Nothing to evaluate');
+    const tree = parseOr();
+    if (pos < tokens.length) fail(`Unexpected "${peek().value}"`);
+    return tree;
+  }
+
+  // Parsed trees per condition text
+  const cache = new Map();
+
+  function getTree(expression) {
+    const key = String(expression);
+    if (!cache.has(key)) {
+      cache.set(key, parse(key));
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Evaluates an expression tree
+   */
+  function evaluateTree(node, context) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'name':
+        return hasOwn(context, node.name) && context[node.name] !== undefined
+          ? context[node.name]
+          : null;
+      case 'not':
+        return !evaluateTree(node.operand, context);
+      case 'and':
+        return !!evaluateTree(node.left, context) && !!evaluateTree(node.right, context);
+      case 'or':
+        return !!evaluateTree(node.left, context) || !!evaluateTree(node.right, context);
+      case 'compare': {
+        const left = evaluateTree(node.left, context);
+        const right = evaluateTree(node.right, context);
+        if (node.op === '==') return left === right;
+        if (node.op === '!=') return left !== right;
+        // Ordering an unset variable is false rather than an error
+        if (left === null || right === null) return false;
+        if (node.op === '<') return left < right;
+        if (node.op === '<=') return left <= right;
+        if (node.op === '>') return left > right;
+        return left >= right;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Evaluates a condition
+   * @param {string|boolean} expression - Condition text (booleans are returned as-is)
+   * @param {Object} context - Values for names (axes and variables)
+   * @returns {boolean} Whether the condition holds
+   * @throws {ConditionError} If the condition is malformed
+   */
+  function evaluate(expression, context) {
+    if (typeof expression === 'boolean') return expression;
+    return !!evaluateTree(getTree(expression), context);
+  }
+
+  /**
+   * Lists the names a condition reads
+   * @param {string} expression - Condition text
+   * @returns {Array} Unique names
+   * @throws {ConditionError} If the condition is malformed
+   */
+  function getNames(expression) {
+    if (typeof expression === 'boolean') return [];
+
+    const names = new Set();
+    const visit = node => {
+      if (node.type === 'name') names.add(node.name);
+      ['left', 'right', 'operand'].forEach(key => node[key] && visit(node[key]));
+    };
+    visit(getTree(expression));
+    return [...names];
+  }
+
+  /**
+   * Builds the evaluation context from running scores and script variables
+   * Axes are the raw sums of the answer scores so far, not the normalized [-1, 1]
+   * values the portrait is drawn from (see CONFIG.CHAT.SCORE_NORMALIZATION), so a
+   * threshold like "e_i < -0.5" means the same thing at any bank size
+   * @param {Array} mbtiScores - Running [e_i, s_n, t_f, j_p] scores
+   * @param {Object} variables - Variables set by choices
+   * @returns {Object} Context for evaluate
+   */
+  function createContext(mbtiScores, variables = {}) {
+    const context = { ...variables };
+    CONFIG.MBTI.AXES.forEach((axis, i) => {
+      context[axis] = mbtiScores[i];
+    });
+    return context;
+  }
+
+  // Export public interface
+  FaceApp.ChatConditions = {
+    evaluate,
+    getNames,
+    createContext,
+    ConditionError
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,130 @@
+/**
+ * Chat Responder
+ * Where Pablo's lines come from. ChatUI asks its responder for every line it is about
+ * to say and falls back to the scripted text when the responder fails.
+ *
+ * A responder is any object with:
+ *   name: string
+ *   getLine(request): Promise<string|null> (null or empty keeps the scripted text)
+ *
+ * request: { kind, key, text, mbti, variables, answered }
+ *   kind - 'node' (intro line), 'question', 'reaction' or 'remark'
+ *   key - Node name, question id, "questionId:answerIndex" or remark position
+ *   text - The scripted line
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * Error raised when a backend does not answer with a usable line
+   */
+  class ResponderError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'ResponderError';
+    }
+  }
+
+  /**
+   * Responder that says the scripted lines as written
+   * @returns {Object} Responder
+   */
+  function createScriptedResponder() {
+    return {
+      name: 'script',
+      getLine: async request => request.text
+    };
+  }
+
+  /**
+   * Responder that asks an HTTP endpoint for each line
+   * The request is POSTed as JSON; the endpoint answers { "text": "..." }
+   * @param {Object} options - Defaults to CONFIG.CHAT.RESPONDER
+   * @param {string} options.url - Endpoint URL
+   * @param {number} options.timeout - Milliseconds before giving up on a line
+   * @param {Function} options.fetch - fetch implementation (defaults to the global one)
+   * @returns {Object} Responder
+   */
+  function createHttpResponder(options = {}) {
+    const config = CONFIG.CHAT.RESPONDER;
+    const {
+      url = config.URL,
+      timeout = config.TIMEOUT,
+      fetch: fetchLine = root.fetch && root.fetch.bind(root)
+    } = options;
+
+    return {
+      name: 'http',
+      async getLine(request) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+          const response = await fetchLine(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request),
+            signal: controller.signal
+          });
+          if (!response.ok) {
+            throw new ResponderError(`${url} answered ${response.status}`);
+          }
+
+          const data = await response.json();
+          if (data.text !== null && data.text !== undefined && typeof data.text !== 'string') {
+            throw new ResponderError(`${url} sent a non-text line`);
+          }
+          return data.text;
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            throw new ResponderError(`${url} took longer than ${timeout}ms`);
+          }
+          throw error;
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+    };
+  }
+
+  /**
+   * Create the responder selected in CONFIG.CHAT.RESPONDER.TYPE
+   * @returns {Object} Responder
+   */
+  function createFromConfig() {
+    const type = CONFIG.CHAT.RESPONDER.TYPE;
+    if (type === 'http') {
+      return createHttpResponder();
+    }
+    if (type !== 'script') {
+      console.warn(`Unknown responder type "${type}", using the script`);
+    }
+    return createScriptedResponder();
+  }
+
+  /**
+   * Ask a responder for a line, keeping the scripted text if it fails or has nothing to say
+   * @param {Object} responder - Responder
+   * @param {Object} request - Line request (see above)
+   * @returns {Promise<string>} Line to show
+   */
+  async function getLine(responder, request) {
+    try {
+      const text = await responder.getLine(request);
+      return typeof text === 'string' && text.trim() !== '' ? text : request.text;
+    } catch (error) {
+      console.warn(`Responder "${responder.name}" failed, using the script:`, error.message);
+      return request.text;
+    }
+  }
+
+  // Export public interface
+  FaceApp.ChatResponder = {
+    createScriptedResponder,
+    createHttpResponder,
+    createFromConfig,
+    getLine,
+    ResponderError
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
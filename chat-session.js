@@ -0,0 +1,68 @@
+/**
+ * Chat Session Persistence
+ * Saves the Q&A conversation to localStorage so a refresh can resume it
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  // Bump when the saved shape changes so old sessions are ignored
+  const SESSION_VERSION = 2;
+
+  /**
+   * Save a chat session snapshot
+   * @param {Object} state - Session state from ChatUI.getSessionState()
+   */
+  function save(state) {
+    try {
+      localStorage.setItem(CONFIG.CHAT.SESSION.STORAGE_KEY, JSON.stringify({
+        version: SESSION_VERSION,
+        savedAt: Date.now(),
+        ...state
+      }));
+    } catch (error) {
+      // Private browsing or full storage: resuming is a nicety, so carry on
+      console.warn('Could not save chat session:', error);
+    }
+  }
+
+  /**
+   * Load the saved chat session
+   * @returns {Object|null} Session state, or null if none or unreadable
+   */
+  function load() {
+    try {
+      const text = localStorage.getItem(CONFIG.CHAT.SESSION.STORAGE_KEY);
+      if (!text) return null;
+
+      const state = JSON.parse(text);
+      if (!state || state.version !== SESSION_VERSION || !Array.isArray(state.conversationHistory)) {
+        clear();
+        return null;
+      }
+      return state;
+    } catch (error) {
+      console.warn('Could not load chat session:', error);
+      clear();
+      return null;
+    }
+  }
+
+  /**
+   * Remove the saved chat session
+   */
+  function clear() {
+    try {
+      localStorage.removeItem(CONFIG.CHAT.SESSION.STORAGE_KEY);
+    } catch (error) {
+      console.warn('Could not clear chat session:', error);
+    }
+  }
+
+  // Export public interface
+  FaceApp.ChatSession = {
+    save,
+    load,
+    clear
+  };
+})(window);
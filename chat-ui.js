@@ -13,13 +13,19 @@
     /**
      * Creates a new ChatUI instance
      * @param {string} containerId - ID of the container element
-     * @param {Function} onWorkflowChange - Callback when workflow changes (BEGIN_QA or BEGIN_SELF)
-     * @param {Function} onMBTIUpdate - Callback when MBTI scores are updated
+     * @param {Function} onWorkflowChange - Callback when workflow changes (BEGIN_QA, BEGIN_SELF, or back to the intro)
+     * @param {Function} onMBTIUpdate - Callback with normalized MBTI values when answers change
+     * @param {Object} options - Startup options
+     * @param {boolean} options.startInSelfMode - Skip the intro and go straight to the sliders
+     * @param {Object} options.responder - Source of Pablo's lines (defaults to CONFIG.CHAT.RESPONDER, see ChatResponder)
+     * @param {AppState} options.appState - Portrait state, read by the results summary
      */
-    constructor(containerId, onWorkflowChange, onMBTIUpdate) {
+    constructor(containerId, onWorkflowChange, onMBTIUpdate, options = {}) {
       this.container = document.getElementById(containerId);
       this.onWorkflowChange = onWorkflowChange;
       this.onMBTIUpdate = onMBTIUpdate;
+      this.options = options;
+      this.responder = options.responder || FaceApp.ChatResponder.createFromConfig();
 
       // Chat state
       this.currentNode = 'start';
@@ -27,10 +33,20 @@
       this.isTyping = false;
       this.mbtiScores = [0, 0, 0, 0]; // [e_i, s_n, t_f, j_p]
       this.currentQuestionIndex = 0;
+      this.answers = []; // { questionId, answerIndex, scores, text } in answer order (answerIndex is null for typed answers)
+      this.currentQuestion = null; // Question awaiting an answer
+      this.currentQuestionNode = null; // Intro node that asked it (null for bank questions)
+      this.qaComplete = false;
+      this.variables = {}; // Set by intro choices, read by branch conditions
+      this.steps = []; // State at each choice prompt shown so far, for going back (see recordStep)
 
       // Data
       this.introData = null;
-      this.mbtiQuestions = null;
+      this.questionPool = null; // Every question in the bank file
+      this.preparedPool = null; // The pool with this session's answer order
+      this.mbtiQuestions = null; // This session's questions (see QuestionBank.prepare)
+      this.lexicon = null; // Keyword lexicon for typed answers (null hides the text input)
+      this.bankSeed = null;
       this.mode = 'intro'; // 'intro' or 'mbti'
 
       // Phone interface state
@@ -44,6 +60,11 @@
       this.choicesContainer = null;
       this.flipToggle = null;
       this.phoneSlidersContainer = null;
+      this.liveRegion = null; // Reads Pablo's messages to screen readers
+
+      // Keyboard state
+      this.keyboardChoice = false; // Last choice was picked from the keyboard, so focus the next ones
+      this.handleChoiceKey = this.handleChoiceKey.bind(this);
 
       // Portrait mode elements
       this.portraitTextArea = null;
@@ -60,8 +81,20 @@
       await this.loadData();
       console.log('Data loaded, creating interface');
       this.createInterface();
-      console.log('Interface created, starting conversation');
-      this.startConversation();
+      const savedSession = CONFIG.CHAT.SESSION.ENABLED && !this.options.startInSelfMode
+        ? FaceApp.ChatSession.load()
+        : null;
+
+      if (this.options.startInSelfMode) {
+        console.log('Interface created, skipping intro for self mode');
+        this.enterSelfMode(0);
+      } else if (savedSession && this.isResumable(savedSession)) {
+        console.log('Interface created, offering to resume saved session');
+        this.offerResume(savedSession);
+      } else {
+        console.log('Interface created, starting conversation');
+        this.startConversation();
+      }
 
       // Set initial orientation
       this.handleOrientationChange();
@@ -73,86 +106,85 @@
     async loadData() {
       try {
         // Load intro YAML data
-        const introResponse = await fetch(CONFIG.CHAT.FILES.INTRO_YAML);
+        const introResponse = await FaceApp.I18n.fetchLocalized(CONFIG.CHAT.FILES.INTRO_YAML);
         const introText = await introResponse.text();
         this.introData = this.parseYAML(introText);
 
         // Load MBTI questions
-        const mbtiResponse = await fetch(CONFIG.CHAT.FILES.MBTI_QUESTIONS);
-        this.mbtiQuestions = await mbtiResponse.json();
+        const mbtiResponse = await FaceApp.I18n.fetchLocalized(CONFIG.CHAT.FILES.MBTI_QUESTIONS);
+        this.questionPool = await mbtiResponse.json();
+
+        if (CONFIG.CHAT.FREE_TEXT.ENABLED) {
+          await this.loadLexicon();
+        }
 
         console.log('Chat data loaded:', {
           intro: this.introData,
-          mbti: this.mbtiQuestions.length,
+          mbti: this.questionPool.length,
           introRoot: this.introData?.root,
           introNodes: Object.keys(this.introData?.nodes || {})
         });
+
+        if (CONFIG.CHAT.VALIDATE_ON_LOAD) {
+          this.reportDataIssues();
+        }
       } catch (error) {
-        console.error('Failed to load chat data:', error);
+        if (error instanceof FaceApp.YAML.YAMLError) {
+          console.error(`Invalid ${FaceApp.I18n.localizePath(CONFIG.CHAT.FILES.INTRO_YAML)}: ${error.message}`);
+        } else {
+          console.error('Failed to load chat data:', error);
+        }
       }
     }
 
     /**
-     * Simple YAML parser for intro data
+     * Load the keyword lexicon for typed answers
+     * The chat works without it; only the text input is left out
      */
-    parseYAML(yamlText) {
-      const lines = yamlText.split('\n');
-      const data = { nodes: {} };
-      let currentNode = null;
-      let currentChoices = [];
-      let indentLevel = 0;
-
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const trimmed = line.trim();
-
-        if (!trimmed || trimmed.startsWith('#')) continue;
+    async loadLexicon() {
+      try {
+        // Keywords only work in their own language, so there is no fallback to the default locale
+        const response = await FaceApp.I18n.fetchLocalized(CONFIG.CHAT.FILES.MBTI_LEXICON, { fallback: false });
+        this.lexicon = await response.json();
+      } catch (error) {
+        console.warn('Typed answers disabled:', error.message);
+        this.lexicon = null;
+      }
+    }
 
-        // Count indentation
-        const indent = line.length - line.trimStart().length;
+    /**
+     * Log problems in the loaded intro script, question bank and lexicon
+     */
+    reportDataIssues() {
+      const { ChatValidator } = FaceApp;
+      const data = { intro: this.introData, questions: this.questionPool };
+      if (this.lexicon) {
+        data.lexicon = this.lexicon;
+      }
+      const { I18n } = FaceApp;
+      const result = ChatValidator.validate(data, {
+        intro: I18n.localizePath(CONFIG.CHAT.FILES.INTRO_YAML),
+        questions: I18n.localizePath(CONFIG.CHAT.FILES.MBTI_QUESTIONS),
+        lexicon: I18n.localizePath(CONFIG.CHAT.FILES.MBTI_LEXICON)
+      });
 
-        if (trimmed.startsWith('root:')) {
-          data.root = trimmed.split(':')[1].trim();
-        } else if (trimmed.startsWith('nodes:')) {
-          continue;
-        } else if (indent === 2 && trimmed.endsWith(':')) {
-          // New node (2 spaces indented)
-          if (currentNode) {
-            if (currentChoices.length > 0) {
-              data.nodes[currentNode.name].choices = currentChoices;
-            }
-          }
-          currentNode = { name: trimmed.replace(':', '') };
-          currentChoices = [];
-          data.nodes[currentNode.name] = {};
-        } else if (indent === 4 && trimmed.startsWith('text:')) {
-          // Text property (4 spaces indented)
-          const text = trimmed.substring(5).trim().replace(/^"(.*)"$/, '$1');
-          data.nodes[currentNode.name].text = text;
-        } else if (indent === 4 && trimmed.startsWith('next:')) {
-          // Next property (4 spaces indented)
-          const next = trimmed.substring(5).trim();
-          data.nodes[currentNode.name].next = next;
-        } else if (indent === 4 && trimmed.startsWith('choices:')) {
-          // Choices property (4 spaces indented)
-          continue;
-        } else if (indent === 6 && trimmed.startsWith('- {')) {
-          // Choice item (6 spaces indented)
-          const choiceMatch = trimmed.match(/label:\s*"([^"]+)",\s*next:\s*(\w+)/);
-          if (choiceMatch) {
-            currentChoices.push({
-              label: choiceMatch[1],
-              next: choiceMatch[2]
-            });
-          }
-        }
+      result.errors.forEach(item => console.error(ChatValidator.formatIssue(item)));
+      result.warnings.forEach(item => console.warn(ChatValidator.formatIssue(item)));
+      if (result.valid) {
+        console.log(`Chat data validated (${result.warnings.length} warnings)`);
       }
+    }
 
-      // Add last node's choices
-      if (currentNode) {
-        if (currentChoices.length > 0) {
-          data.nodes[currentNode.name].choices = currentChoices;
-        }
+    /**
+     * Parse the intro conversation script
+     * @param {string} yamlText - Contents of the intro YAML file
+     * @returns {Object} Intro data with root and nodes
+     * @throws {YAMLError} If the script is malformed (message includes the line number)
+     */
+    parseYAML(yamlText) {
+      const data = FaceApp.YAML.parse(yamlText) || {};
+      if (!data.nodes) {
+        data.nodes = {};
       }
 
       console.log('Parsed YAML data:', data);
@@ -220,6 +252,7 @@
         );
       `;
       this.chatArea.style.setProperty('-webkit-scrollbar', 'none');
+      this.chatArea.dir = FaceApp.I18n.getDirection(); // Bubbles use flex-start/end, so they mirror in RTL
 
       console.log('Chat area created with dimensions:', screenWidth, 'x', screenHeight);
 
@@ -230,6 +263,61 @@
 
       // Create flip phone toggle text
       this.createFlipToggle();
+
+      if (CONFIG.ACCESSIBILITY.ANNOUNCE_MESSAGES) {
+        this.liveRegion = FaceApp.Accessibility.createLiveRegion();
+      }
+      if (CONFIG.ACCESSIBILITY.KEYBOARD_CHOICES) {
+        document.addEventListener('keydown', this.handleChoiceKey);
+      }
+    }
+
+    /**
+     * Pick or move between the visible choices from the keyboard
+     * 1-9 picks that choice; arrow keys move focus (Enter/Space then pick it, as for any button)
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleChoiceKey(event) {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+      // Leave keys alone while typing an answer (same rule as the app's shortcuts)
+      const target = event.target;
+      if (FaceApp.Accessibility.isTextEntry(target)) return;
+
+      const buttons = this.getChoiceButtons();
+      if (buttons.length === 0) return;
+
+      if (/^[1-9]$/.test(event.key)) {
+        const button = buttons[Number(event.key) - 1];
+        if (button) {
+          event.preventDefault();
+          button.click();
+        }
+        return;
+      }
+
+      // Arrow keys on a focused slider move the slider
+      const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[event.key];
+      if (step && !(target && target.type === 'range')) {
+        event.preventDefault();
+        const current = buttons.indexOf(document.activeElement);
+        const next = current === -1
+          ? (step > 0 ? 0 : buttons.length - 1)
+          : (current + step + buttons.length) % buttons.length;
+        buttons[next].focus();
+      }
+    }
+
+    /**
+     * Choice buttons in the area currently on screen
+     * @returns {Array} Buttons in display order
+     */
+    getChoiceButtons() {
+      const area = this.portraitTextArea && this.currentOrientation === 'portrait'
+        ? this.portraitTextArea
+        : this.chatArea;
+      if (!area) return [];
+      return Array.from(area.querySelectorAll('.choices-container .choice-button'));
     }
 
     /**
@@ -237,7 +325,7 @@
      */
     createFlipToggle() {
       this.flipToggle = document.createElement('div');
-      this.flipToggle.textContent = 'flip the phone →';
+      this.flipToggle.textContent = FaceApp.I18n.t('flip.toSliders');
       this.flipToggle.style.cssText = `
         position: fixed;
         right: ${CONFIG.CHAT.IPHONE.POSITION.RIGHT_MARGIN + CONFIG.CHAT.IPHONE.WIDTH / 2}px;
@@ -303,7 +391,7 @@
 
         if (this.phoneShowingSliders) {
           this.showPortraitSliders();
-          this.updateFlipToggleForPortrait('← show chat');
+          this.updateFlipToggleForPortrait(FaceApp.I18n.t('flip.portraitBack'));
         } else {
           this.hidePortraitSliders();
           this.updateFlipToggleForPortrait();
@@ -320,12 +408,12 @@
         // Hide chat, show sliders
         this.iphoneElement.style.visibility = 'hidden';
         this.showPhoneSliders();
-        this.flipToggle.textContent = 'flip the phone ←';
+        this.flipToggle.textContent = FaceApp.I18n.t('flip.toChat');
       } else {
         // Hide sliders, show chat
         this.hidePhoneSliders();
         this.iphoneElement.style.visibility = 'visible';
-        this.flipToggle.textContent = 'flip the phone →';
+        this.flipToggle.textContent = FaceApp.I18n.t('flip.toSliders');
       }
     }
 
@@ -336,15 +424,143 @@
       if (!this.introData) {
         console.error('No intro data available for chat - showing fallback message');
         // Fallback: show a basic test message
-        this.addMessage('Pablo', 'Hello! I\'m having trouble loading the conversation data.', 'pablo');
+        this.addMessage('Pablo', FaceApp.I18n.t('chat.loadError'), 'pablo');
         return;
       }
       console.log('Starting conversation with root node:', this.introData.root);
       console.log('Intro data:', this.introData);
       this.currentNode = this.introData.root;
+      this.prepareQuestionBank();
+      this.showNextMessage();
+    }
+
+    /**
+     * Draw this session's questions from the pool
+     * @param {number} seed - Seed for sampling and shuffling (defaults to CONFIG.CHAT.QUESTION_BANK.SEED, or a new one)
+     */
+    prepareQuestionBank(seed = CONFIG.CHAT.QUESTION_BANK.SEED) {
+      const { QuestionBank } = FaceApp;
+
+      this.bankSeed = seed === null || seed === undefined ? QuestionBank.createSeed() : seed;
+      const { questions, pool } = QuestionBank.prepare(this.questionPool || [], { seed: this.bankSeed });
+      this.mbtiQuestions = questions;
+      this.preparedPool = pool;
+
+      console.log(`Question bank: ${questions.length} of ${pool.length} questions (seed ${this.bankSeed})`);
+    }
+
+    /**
+     * Snapshot of the conversation for persistence
+     * @returns {Object} Serializable session state
+     */
+    getSessionState() {
+      return {
+        conversationHistory: this.conversationHistory,
+        currentQuestionIndex: this.currentQuestionIndex,
+        answers: this.answers,
+        bankSeed: this.bankSeed,
+        qaComplete: this.qaComplete,
+        mbtiScores: this.mbtiScores,
+        currentNode: this.currentNode,
+        variables: this.variables,
+        mode: this.mode
+      };
+    }
+
+    /**
+     * Persist the conversation after an answer
+     */
+    saveSession() {
+      if (!CONFIG.CHAT.SESSION.ENABLED) return;
+      FaceApp.ChatSession.save(this.getSessionState());
+    }
+
+    /**
+     * Check that a saved session still fits the loaded script and question bank
+     * @param {Object} session - Saved session state
+     * @returns {boolean} True if the session can be resumed
+     */
+    isResumable(session) {
+      const hasAnswers = session.conversationHistory.some(entry => entry.type === 'user');
+      const nodeExists = session.mode !== 'intro' || !!(this.introData && this.introData.nodes[session.currentNode]);
+      const questionExists = session.mode !== 'mbti' || (this.questionPool && session.currentQuestionIndex <= this.questionPool.length);
+      return hasAnswers && nodeExists && questionExists;
+    }
+
+    /**
+     * Ask whether to continue a saved session or start over
+     * @param {Object} session - Saved session state
+     */
+    async offerResume(session) {
+      const text = FaceApp.I18n.t('session.resume');
+      await this.showTypingIndicator(text);
+      this.addMessage('Pablo', text, 'pablo');
+
+      this.showChoices([
+        {
+          label: FaceApp.I18n.t('session.continue'),
+          action: () => this.resumeSession(session)
+        },
+        {
+          label: FaceApp.I18n.t('session.restart'),
+          action: () => {
+            FaceApp.ChatSession.clear();
+            this.clearChatAreas();
+            this.startConversation();
+          }
+        }
+      ]);
+    }
+
+    /**
+     * Restore a saved session: replay the transcript, restore scores and the portrait, then carry on
+     * @param {Object} session - Saved session state
+     */
+    resumeSession(session) {
+      this.clearChatAreas();
+
+      // Replay the transcript instantly (no typing indicator or fade-in)
+      session.conversationHistory.forEach(entry => {
+        this.addMessage(entry.speaker, entry.text, entry.type, { animate: false });
+      });
+
+      this.currentNode = session.currentNode;
+      this.currentQuestionIndex = session.currentQuestionIndex;
+      this.answers = [...(session.answers || [])];
+      this.prepareQuestionBank(session.bankSeed);
+      this.qaComplete = !!session.qaComplete;
+      this.mbtiScores = [...session.mbtiScores];
+      this.variables = { ...(session.variables || {}) };
+      this.mode = session.mode;
+
+      if (this.mode === 'mbti' || this.answers.length > 0) {
+        this.enterQAWorkflow();
+
+        // Bring the portrait back to the answers given so far
+        if (this.onMBTIUpdate) {
+          this.onMBTIUpdate(this.getNormalizedScores());
+        }
+      }
+
       this.showNextMessage();
     }
 
+    /**
+     * Remove all messages from the chat areas and forget the transcript
+     */
+    clearChatAreas() {
+      this.conversationHistory = [];
+      this.steps = [];
+
+      if (this.chatArea) {
+        this.chatArea.innerHTML = '';
+      }
+
+      if (this.portraitTextArea) {
+        this.portraitTextArea.innerHTML = '';
+      }
+    }
+
     /**
      * Show the next message in the conversation
      */
@@ -362,7 +578,7 @@
      * Show intro conversation message
      */
     async showIntroMessage() {
-      const node = this.introData.nodes[this.currentNode];
+      const node = this.resolveIntroNode(this.introData.nodes[this.currentNode]);
       console.log('showIntroMessage - currentNode:', this.currentNode, 'node:', node);
 
       if (!node) {
@@ -370,90 +586,293 @@
         return;
       }
 
-      // Show typing indicator
-      await this.showTypingIndicator(node.text);
+      this.setVariables(node.set);
+      const choices = (node.choices || []).filter(choice => choice.if === undefined || this.checkCondition(choice.if));
 
-      // Show Pablo's message
-      this.addMessage('Pablo', node.text, 'pablo');
+      // Show Pablo's message (question nodes may skip the lead-in text)
+      if (node.text) {
+        const text = await this.showTypingIndicator(this.requestLine('node', this.currentNode, node.text));
+        this.addMessage('Pablo', text, 'pablo');
+      }
 
       // Handle next action
-      if (node.next === 'BEGIN_QA') {
-        // Switch to MBTI Q&A mode
-        this.mode = 'mbti';
-        this.currentQuestionIndex = 0;
+      if (node.question !== undefined) {
+        const question = this.findQuestion(node.question);
+        if (!question) {
+          console.error('No question found for id:', node.question);
+          return;
+        }
+        this.currentQuestionNode = node;
+        this.enterQAWorkflow();
+        await this.askQuestion(question);
+      } else if (choices.length > 0) {
+        // Show choices
+        this.showPrompt(choices);
+      } else if (node.next) {
+        // Auto-advance to next node
+        this.followTransition(node.next, 1500);
+      }
+    }
+
+    /**
+     * Move the conversation to a node or sentinel
+     * @param {string} target - Node name, BEGIN_QA or BEGIN_SELF
+     * @param {number} delay - Milliseconds before the next node is shown
+     */
+    followTransition(target, delay) {
+      if (target === 'BEGIN_QA') {
+        this.beginQuestions();
+      } else if (target === 'BEGIN_SELF') {
+        this.finishConversation();
+      } else {
+        this.currentNode = target;
+        this.saveSession();
         setTimeout(() => {
           this.showNextMessage();
-        }, 1000);
+        }, FaceApp.Motion.chatDelay(delay));
+      }
+    }
 
-        // Update workflow mode and show flip toggle
-        this.currentWorkflowMode = 'qa';
-        this.updateFlipToggleVisibility();
+    /**
+     * Switch to MBTI Q&A mode and work through the question bank
+     */
+    beginQuestions() {
+      this.mode = 'mbti';
+      this.currentQuestionIndex = 0;
+      this.saveSession();
+      setTimeout(() => {
+        this.showNextMessage();
+      }, FaceApp.Motion.chatDelay(1000));
 
-        // Notify parent about workflow change
-        if (this.onWorkflowChange) {
-          this.onWorkflowChange('qa');
-        }
-      } else if (node.next === 'BEGIN_SELF') {
+      this.enterQAWorkflow();
+    }
+
+    /**
+     * Switch the app to the Q&A workflow (portrait follows the answers)
+     */
+    enterQAWorkflow() {
+      if (this.currentWorkflowMode === 'qa') return;
+
+      // Update workflow mode and show flip toggle
+      this.currentWorkflowMode = 'qa';
+      this.updateFlipToggleVisibility();
+
+      // Notify parent about workflow change
+      if (this.onWorkflowChange) {
+        this.onWorkflowChange('qa');
+      }
+    }
+
+    /**
+     * Hand over to the sliders once the conversation is over
+     */
+    finishConversation() {
+      // The sliders take over from here
+      this.steps = [];
+
+      if (!this.qaComplete) {
         // Switch to self-adjustment mode with automatic slider display
-        this.currentWorkflowMode = 'self';
-        this.isAutoSelfMode = true;
-        this.updateFlipToggleVisibility(); // This will hide the flip toggle
+        this.enterSelfMode();
+        return;
+      }
 
-        // Notify parent about workflow change
-        if (this.onWorkflowChange) {
-          this.onWorkflowChange('self');
-        }
+      // Nothing left to resume once the quiz is over
+      FaceApp.ChatSession.clear();
+
+      if (CONFIG.CHAT.RESULTS.ENABLED) {
+        // Let the user read the summary before the sliders take over the phone
+        this.showResultsSummary();
+        this.showChoices([{
+          label: FaceApp.I18n.t('results.continue'),
+          action: () => {
+            this.enterSelfMode(0);
+            this.refreshSliders();
+          }
+        }]);
+        return;
+      }
 
-        // Automatically show sliders after configured delay
-        setTimeout(() => {
-          this.autoShowSliders();
-        }, CONFIG.CHAT.ANIMATION.AUTO_SLIDER_DELAY * 1000);
-      } else if (node.choices && node.choices.length > 0) {
-        // Show choices
-        this.showChoices(node.choices);
-      } else if (node.next) {
-        // Auto-advance to next node
-        this.currentNode = node.next;
-        setTimeout(() => {
-          this.showNextMessage();
-        }, 1500);
+      this.enterSelfMode();
+      this.refreshSliders();
+    }
+
+    /**
+     * Add the results card (type, axis leanings, face files, deciding answers) to the chat
+     */
+    showResultsSummary() {
+      const { ResultsSummary } = FaceApp;
+      const { appState } = this.options;
+
+      const summary = ResultsSummary.build({
+        mbti: appState ? appState.mbti : this.getNormalizedScores(),
+        shapeIndices: appState ? appState.getShapeIndices() : null,
+        libraries: appState && appState.faceManifest ? appState.faceManifest.libraries : null,
+        answers: this.answers,
+        findQuestion: id => this.findQuestion(id)
+      });
+      console.log('Results summary:', summary);
+
+      const card = ResultsSummary.createCard(summary);
+      FaceApp.Accessibility.announce(this.liveRegion, `${FaceApp.I18n.t('results.title')}: ${summary.type}`);
+
+      if (this.chatArea) {
+        this.chatArea.appendChild(card.cloneNode(true));
+        this.scrollToBottom();
+      }
+
+      if (this.portraitTextArea && this.currentOrientation === 'portrait') {
+        this.portraitTextArea.appendChild(card.cloneNode(true));
+        this.scrollPortraitTextAreaToBottom();
       }
     }
 
     /**
-     * Show MBTI question
+     * Apply the first branch of an intro node whose condition matches the answers so far
+     * Branches are tried in order; one without `if` always matches
+     * @param {Object} node - Intro node from the script
+     * @returns {Object} The node with the matching branch's fields merged in (the node itself if none match)
      */
-    async showMBTIQuestion() {
-      if (this.currentQuestionIndex >= this.mbtiQuestions.length) {
-        // Finished all questions
-        await this.showTypingIndicator('Done!');
-        this.addMessage('Pablo', 'Done!', 'pablo');
+    resolveIntroNode(node) {
+      if (!node || !Array.isArray(node.branches)) return node;
 
-        this.currentWorkflowMode = 'self';
+      const { branches, ...base } = node;
+      const branch = branches.find(b => b.if === undefined || this.checkCondition(b.if));
+      if (!branch) return base;
 
-        this.isAutoSelfMode = true;
-        this.updateFlipToggleVisibility();
+      const { if: condition, ...fields } = branch;
+      console.log('Intro branch matched:', condition === undefined ? '(default)' : condition);
+      return { ...base, ...fields };
+    }
 
-        setTimeout(() => {
-          this.autoShowSliders();
-        }, CONFIG.CHAT.ANIMATION.AUTO_SLIDER_DELAY * 1000);
+    /**
+     * Evaluate a script condition against the running scores and variables
+     * (raw score sums, see ChatConditions.createContext)
+     * @param {string} expression - Condition such as "e_i < -0.3"
+     * @returns {boolean} Whether it holds (false if the condition is malformed)
+     */
+    checkCondition(expression) {
+      const { ChatConditions } = FaceApp;
+      try {
+        return ChatConditions.evaluate(expression, ChatConditions.createContext(this.mbtiScores, this.variables));
+      } catch (error) {
+        console.error(error.message);
+        return false;
+      }
+    }
 
-        if (this.onWorkflowChange) {
-          this.onWorkflowChange('self');
-        }
+    /**
+     * Store variables declared by a node or choice (`set: { name: value }`)
+     * @param {Object} assignments - Variable values
+     */
+    setVariables(assignments) {
+      if (!assignments || typeof assignments !== 'object') return;
+      Object.assign(this.variables, assignments);
+    }
+
+    /**
+     * Switch to self-adjustment mode and show the sliders after a delay
+     * @param {number} sliderDelay - Seconds before the sliders appear
+     */
+    enterSelfMode(sliderDelay = CONFIG.CHAT.ANIMATION.AUTO_SLIDER_DELAY) {
+      this.currentWorkflowMode = 'self';
+      this.isAutoSelfMode = true;
+      this.updateFlipToggleVisibility(); // This will hide the flip toggle
+
+      // Notify parent about workflow change
+      if (this.onWorkflowChange) {
+        this.onWorkflowChange('self');
+      }
 
-        this.refreshSliders();
+      // Automatically show sliders after the delay
+      setTimeout(() => {
+        this.autoShowSliders();
+      }, FaceApp.Motion.chatDelay(sliderDelay * 1000));
+    }
+
+    /**
+     * Show the next question from the bank, or move on to the outro when none are left
+     */
+    async showMBTIQuestion() {
+      const question = this.getNextQuestion();
 
+      if (!question) {
+        this.finishQuestions();
         return;
       }
 
-      const question = this.mbtiQuestions[this.currentQuestionIndex];
+      this.currentQuestionNode = null;
+      await this.askQuestion(question);
+    }
+
+    /**
+     * Pick the next unanswered question from the bank (see CONFIG.CHAT.QUESTION_SELECTION)
+     * Questions already asked as intro nodes are skipped
+     * @returns {Object|null} Question, or null when the Q&A is over
+     */
+    getNextQuestion() {
+      if (CONFIG.CHAT.QUESTION_SELECTION.MODE === 'adaptive') {
+        return FaceApp.QuestionSelector.pickAdaptive(this.mbtiQuestions, this.answers);
+      }
+
+      const answeredIds = this.getAnsweredQuestionIds();
+      while (this.currentQuestionIndex < this.mbtiQuestions.length) {
+        const question = this.mbtiQuestions[this.currentQuestionIndex];
+        if (question.id === undefined || !answeredIds.includes(question.id)) {
+          return question;
+        }
+        this.currentQuestionIndex++;
+      }
+      return null;
+    }
+
+    /**
+     * Ids of the questions answered so far, in answer order
+     * @returns {Array} Question ids
+     */
+    getAnsweredQuestionIds() {
+      return this.answers.map(answer => answer.questionId);
+    }
+
+    /**
+     * MBTI values for the portrait, normalized from the answers so far
+     * (see CONFIG.CHAT.SCORE_NORMALIZATION)
+     * @returns {Array} Four values in [-1, 1]
+     */
+    getNormalizedScores() {
+      const { ScoreNormalizer } = FaceApp;
+      const entries = this.answers.map(answer => {
+        const question = this.findQuestion(answer.questionId);
+        // Typed answers can land outside the canned answers' range, so the answer widens it
+        const scores = [...((question && question.scores) || []), answer.scores];
+        return { scores: answer.scores, range: ScoreNormalizer.getQuestionRange({ scores }) };
+      });
+
+      return ScoreNormalizer.normalize(entries, {
+        bankRange: ScoreNormalizer.getBankRange(this.mbtiQuestions || [])
+      });
+    }
+
+    /**
+     * Find a question in the bank by id
+     * @param {number|string} id - Question id
+     * @returns {Object|undefined} Question
+     */
+    findQuestion(id) {
+      return (this.preparedPool || []).find(question => question.id === id);
+    }
+
+    /**
+     * Show a question and its answers as choices
+     * @param {Object} question - Question from the bank
+     */
+    async askQuestion(question) {
+      this.currentQuestion = question;
 
-      // Show typing indicator
-      await this.showTypingIndicator(question.question);
+      // Show typing indicator until the line is ready
+      const text = await this.showTypingIndicator(this.requestLine('question', question.id, question.question));
 
       // Show question
-      this.addMessage('Pablo', question.question, 'pablo');
+      this.addMessage('Pablo', text, 'pablo');
 
       // Show answer choices
       const choices = question.answers.map((answer, index) => ({
@@ -461,16 +880,70 @@
         action: () => this.selectMBTIAnswer(index)
       }));
 
-      this.showChoices(choices);
+      // Offer a text input below the answers when the lexicon is available
+      this.showPrompt(choices, {
+        onFreeText: this.lexicon ? text => this.submitFreeTextAnswer(text) : null
+      });
+    }
+
+    /**
+     * Play the outro node from the script, or go straight to the sliders without one
+     */
+    finishQuestions() {
+      this.qaComplete = true;
+
+      const outro = this.introData.qa && this.introData.qa.outro;
+      if (outro && this.introData.nodes[outro]) {
+        this.mode = 'intro';
+        this.currentNode = outro;
+        this.saveSession();
+        this.showNextMessage();
+      } else {
+        this.finishConversation();
+      }
     }
 
     /**
      * Handle MBTI answer selection
+     * @param {number} answerIndex - Index into the current question's answers
      */
     selectMBTIAnswer(answerIndex) {
-      const question = this.mbtiQuestions[this.currentQuestionIndex];
-      const answer = question.answers[answerIndex];
-      const scores = question.scores[answerIndex];
+      const question = this.currentQuestion;
+      const node = this.currentQuestionNode;
+      const scores = (question.scores && question.scores[answerIndex]) || {}; // Missing scores are reported by ChatValidator
+
+      // A question node can override the bank's reaction lines
+      const reactions = (node && node.reactions) || question.reactions || [];
+
+      this.recordAnswer(question.answers[answerIndex], answerIndex, scores, reactions[answerIndex]);
+    }
+
+    /**
+     * Handle a typed answer: score it with the keyword lexicon and record it like a chosen answer
+     * @param {string} text - What the user typed
+     */
+    submitFreeTextAnswer(text) {
+      const answer = text.trim().slice(0, CONFIG.CHAT.FREE_TEXT.MAX_LENGTH);
+      if (!answer || !this.currentQuestion) return;
+
+      const { scores, matches } = FaceApp.TextScorer.score(answer, this.lexicon);
+      console.log('Typed answer scored:', scores, matches);
+
+      const reaction = FaceApp.I18n.t(Object.keys(scores).length > 0 ? 'freeText.reaction' : 'freeText.unscored');
+
+      this.recordAnswer(answer, null, scores, reaction);
+    }
+
+    /**
+     * Apply an answer to the current question and move the conversation on
+     * @param {string} answer - Answer text shown as the user's message
+     * @param {number|null} answerIndex - Index of the chosen answer (null for a typed answer)
+     * @param {Object} scores - Axis deltas { e_i, s_n, t_f, j_p }
+     * @param {string} reaction - Pablo's reply (optional)
+     */
+    recordAnswer(answer, answerIndex, scores, reaction) {
+      const question = this.currentQuestion;
+      const node = this.currentQuestionNode;
 
       // Add user's answer to chat
       this.addMessage('You', answer, 'user');
@@ -481,30 +954,103 @@
       if (scores.t_f !== undefined) this.mbtiScores[2] += scores.t_f;
       if (scores.j_p !== undefined) this.mbtiScores[3] += scores.j_p;
 
+      this.answers.push({ questionId: question.id, answerIndex, scores, text: answer });
+
       // Notify parent about MBTI update
       if (this.onMBTIUpdate) {
-        this.onMBTIUpdate([...this.mbtiScores]);
+        this.onMBTIUpdate(this.getNormalizedScores());
       }
 
-      // Move to next question
-      this.currentQuestionIndex++;
+      // Move on: to the next bank question, or to the question node's next
+      let next = null;
+      if (node) {
+        next = node.next;
+        // Save where the conversation is heading so a refresh does not re-ask this question
+        if (next === 'BEGIN_QA') {
+          this.mode = 'mbti';
+          this.currentQuestionIndex = 0;
+        } else if (next !== 'BEGIN_SELF') {
+          this.currentNode = next;
+        }
+      } else {
+        this.currentQuestionIndex++;
+      }
+      this.currentQuestion = null;
+      this.currentQuestionNode = null;
+      this.saveSession();
 
       // Continue after a brief pause
-      setTimeout(() => {
-        this.showNextMessage();
-      }, 1000);
+      setTimeout(async () => {
+        await this.say(reaction, 'reaction', `${question.id}:${answerIndex === null ? 'typed' : answerIndex}`, { answer });
+        await this.say(this.getRemark(), 'remark', this.answers.length);
+
+        if (next) {
+          this.followTransition(next, 0);
+        } else {
+          this.showNextMessage();
+        }
+      }, FaceApp.Motion.chatDelay(1000));
     }
 
     /**
-     * Show typing indicator for a specified duration
+     * Show a line from Pablo with the typing indicator
+     * @param {string} text - Scripted message (nothing is shown when empty)
+     * @param {string} kind - Line kind for the responder
+     * @param {string|number} key - Line key for the responder
+     * @param {Object} extra - More fields for the responder request
      */
-    async showTypingIndicator(text) {
-      // Calculate typing duration based on text length
-      const baseDuration = text.length * CONFIG.CHAT.ANIMATION.TYPING_PAUSE_PER_CHAR * 1000;
-      const duration = Math.max(
-        Math.min(baseDuration, CONFIG.CHAT.ANIMATION.MAX_TYPING_TIME * 1000),
-        CONFIG.CHAT.ANIMATION.MIN_TYPING_TIME * 1000
-      );
+    async say(text, kind, key, extra = {}) {
+      if (!text) return;
+      const line = await this.showTypingIndicator(this.requestLine(kind, key, text, extra));
+      this.addMessage('Pablo', line, 'pablo');
+    }
+
+    /**
+     * Ask the responder for one of Pablo's lines
+     * @param {string} kind - 'node', 'question', 'reaction' or 'remark'
+     * @param {string|number} key - Node name, question id, "questionId:answerIndex" or remark position
+     * @param {string} text - Scripted line (used if the responder fails)
+     * @param {Object} extra - More fields for the request (e.g. the answer a reaction replies to)
+     * @returns {Promise<string>} Line to show
+     */
+    requestLine(kind, key, text, extra = {}) {
+      const mbti = {};
+      CONFIG.MBTI.AXES.forEach((axis, i) => {
+        mbti[axis] = this.mbtiScores[i];
+      });
+
+      return FaceApp.ChatResponder.getLine(this.responder, {
+        kind,
+        key,
+        text,
+        mbti,
+        variables: this.variables,
+        answered: this.answers.length,
+        ...extra
+      });
+    }
+
+    /**
+     * Find the scripted remark for the number of questions answered so far
+     * The first remark whose `after` matches and whose `if` holds is used
+     * @returns {string|null} Remark text
+     */
+    getRemark() {
+      const remarks = (this.introData && this.introData.qa && this.introData.qa.remarks) || [];
+      const answered = this.answers.length;
+      const remark = remarks.find(r => r.after === answered && (r.if === undefined || this.checkCondition(r.if)));
+      return remark ? remark.text : null;
+    }
+
+    /**
+     * Show typing indicator while a line is on its way
+     * The indicator stays up for as long as the line takes to arrive, and at least
+     * as long as it would take to type
+     * @param {string|Promise<string>} line - Text, or a pending line from requestLine
+     * @returns {Promise<string>} The line's text
+     */
+    async showTypingIndicator(line) {
+      const startedAt = Date.now();
 
       // Create typing bubbles for both areas
       let iphoneTypingBubble = null;
@@ -522,8 +1068,18 @@
         this.scrollPortraitTextAreaToBottom();
       }
 
-      // Wait for typing duration
-      await new Promise(resolve => setTimeout(resolve, duration));
+      const text = await line;
+
+      // Calculate typing duration based on text length, less the time spent waiting for it
+      const baseDuration = text.length * CONFIG.CHAT.ANIMATION.TYPING_PAUSE_PER_CHAR * 1000;
+      const duration = Math.max(
+        Math.min(baseDuration, CONFIG.CHAT.ANIMATION.MAX_TYPING_TIME * 1000),
+        CONFIG.CHAT.ANIMATION.MIN_TYPING_TIME * 1000
+      );
+      const remaining = FaceApp.Motion.chatDelay(duration) - (Date.now() - startedAt);
+      if (remaining > 0) {
+        await new Promise(resolve => setTimeout(resolve, remaining));
+      }
 
       // Remove typing bubbles
       if (iphoneTypingBubble && iphoneTypingBubble.parentNode) {
@@ -533,6 +1089,8 @@
       if (portraitTypingBubble && portraitTypingBubble.parentNode) {
         portraitTypingBubble.parentNode.removeChild(portraitTypingBubble);
       }
+
+      return text;
     }
 
     /**
@@ -541,6 +1099,7 @@
     createTypingBubble() {
       const bubble = document.createElement('div');
       bubble.className = 'typing-indicator'; // Add class for easy identification
+      bubble.setAttribute('aria-hidden', 'true'); // The live region reads the message once it arrives
       bubble.style.cssText = `
         margin: ${CONFIG.CHAT.BUBBLES.TYPING.MARGIN.TOP}px ${CONFIG.CHAT.BUBBLES.TYPING.MARGIN.RIGHT}px ${CONFIG.CHAT.BUBBLES.TYPING.MARGIN.BOTTOM}px ${CONFIG.CHAT.BUBBLES.TYPING.MARGIN.LEFT}px;
         align-self: flex-start;
@@ -570,12 +1129,22 @@
 
     /**
      * Add a message to the chat
+     * @param {string} speaker - Speaker name
+     * @param {string} text - Message text
+     * @param {string} type - 'pablo' or 'user'
+     * @param {Object} opts - Options
+     * @param {boolean} opts.animate - Fade the bubble in (false when replaying a transcript)
      */
-    addMessage(speaker, text, type) {
+    addMessage(speaker, text, type, opts = {}) {
+      const { animate = true } = opts;
       console.log('Adding message:', speaker, text, type);
 
       // Create message element
       const messageElement = this.createMessageElement(speaker, text, type);
+      messageElement.dataset.historyIndex = this.conversationHistory.length; // Lets goBack remove it
+      if (!animate) {
+        messageElement.style.animation = 'none';
+      }
 
       // Add to iPhone chat area if it exists
       if (this.chatArea) {
@@ -589,6 +1158,11 @@
         this.scrollPortraitTextAreaToBottom();
       }
 
+      // Replayed transcripts (resume, orientation change) have been read already
+      if (type === 'pablo' && animate) {
+        FaceApp.Accessibility.announce(this.liveRegion, text);
+      }
+
       // Add to conversation history
       this.conversationHistory.push({ speaker, text, type });
 
@@ -631,27 +1205,128 @@
       return messageContainer;
     }
 
+    /**
+     * Show the choices for an intro node or question, with a way back to the previous prompt
+     * @param {Array} choices - Choices with a label and an action or next
+     * @param {Object} options - Options for showChoices
+     */
+    showPrompt(choices, options = {}) {
+      this.recordStep(choices, options);
+
+      const canGoBack = CONFIG.CHAT.UNDO.ENABLED && this.steps.length > 1;
+      this.showChoices(choices, { ...options, onBack: canGoBack ? () => this.goBack() : null });
+    }
+
+    /**
+     * Remember the conversation state while a prompt is waiting for an answer
+     * @param {Array} choices - Choices being shown
+     * @param {Object} options - Options they are shown with
+     */
+    recordStep(choices, options) {
+      this.steps.push({
+        choices,
+        options,
+        transcriptLength: this.conversationHistory.length,
+        currentNode: this.currentNode,
+        mode: this.mode,
+        currentQuestionIndex: this.currentQuestionIndex,
+        currentQuestion: this.currentQuestion,
+        currentQuestionNode: this.currentQuestionNode,
+        answers: [...this.answers],
+        mbtiScores: [...this.mbtiScores],
+        variables: { ...this.variables },
+        qaComplete: this.qaComplete,
+        workflowMode: this.currentWorkflowMode
+      });
+    }
+
+    /**
+     * Take back the last answer: drop everything said since the previous prompt,
+     * undo its scores and variables, morph the portrait back and ask again
+     */
+    goBack() {
+      if (this.steps.length < 2) return;
+
+      this.steps.pop(); // The prompt on screen now
+      const step = this.steps.pop(); // Recorded again when it is shown below
+
+      this.hideChoices();
+      this.truncateTranscript(step.transcriptLength);
+
+      this.currentNode = step.currentNode;
+      this.mode = step.mode;
+      this.currentQuestionIndex = step.currentQuestionIndex;
+      this.currentQuestion = step.currentQuestion;
+      this.currentQuestionNode = step.currentQuestionNode;
+      this.answers = [...step.answers];
+      this.mbtiScores = [...step.mbtiScores];
+      this.variables = { ...step.variables };
+      this.qaComplete = step.qaComplete;
+      console.log('Went back to:', step.currentQuestion ? `question ${step.currentQuestion.id}` : step.currentNode);
+
+      // Morph the portrait back to the remaining answers (while it still follows the chat)
+      if (this.currentWorkflowMode === 'qa' && this.onMBTIUpdate) {
+        this.onMBTIUpdate(this.getNormalizedScores());
+      }
+
+      // Going back past the first question leaves the Q&A
+      if (step.workflowMode !== this.currentWorkflowMode) {
+        this.currentWorkflowMode = step.workflowMode;
+        this.updateFlipToggleVisibility();
+
+        if (this.onWorkflowChange) {
+          this.onWorkflowChange(step.workflowMode);
+        }
+      }
+
+      this.saveSession();
+      this.showPrompt(step.choices, step.options);
+    }
+
+    /**
+     * Remove messages from the end of the transcript and the chat areas
+     * @param {number} length - Number of messages to keep
+     */
+    truncateTranscript(length) {
+      this.conversationHistory = this.conversationHistory.slice(0, length);
+
+      [this.chatArea, this.portraitTextArea].forEach(area => {
+        if (!area) return;
+        area.querySelectorAll('[data-history-index]').forEach(element => {
+          if (Number(element.dataset.historyIndex) >= length) {
+            element.remove();
+          }
+        });
+      });
+    }
+
     /**
      * Show choice buttons
+     * @param {Array} choices - Choices with a label and an action or next
+     * @param {Object} options - Options
+     * @param {Function} options.onFreeText - Called with typed text; shows a text input below the choices when set
+     * @param {Function} options.onBack - Called by the back link shown below the choices when set
      */
-    showChoices(choices) {
+    showChoices(choices, options = {}) {
       // Add choices to both iPhone and portrait areas
       if (this.chatArea) {
-        this.addChoicesToArea(this.chatArea, choices, () => this.scrollToBottom());
+        this.addChoicesToArea(this.chatArea, choices, () => this.scrollToBottom(), options);
       }
 
       if (this.portraitTextArea && this.currentOrientation === 'portrait') {
-        this.addChoicesToArea(this.portraitTextArea, choices, () => this.scrollPortraitTextAreaToBottom());
+        this.addChoicesToArea(this.portraitTextArea, choices, () => this.scrollPortraitTextAreaToBottom(), options);
       }
     }
 
     /**
      * Add choice buttons to a specific area
      */
-    addChoicesToArea(targetArea, choices, scrollFunction) {
+    addChoicesToArea(targetArea, choices, scrollFunction, options = {}) {
       // Create a container for all choice buttons that will be added to the target area
       const choicesContainer = document.createElement('div');
       choicesContainer.className = 'choices-container';
+      choicesContainer.setAttribute('role', 'group');
+      choicesContainer.setAttribute('aria-label', FaceApp.I18n.t('a11y.choices'));
       choicesContainer.style.cssText = `
         display: flex;
         flex-direction: column;
@@ -681,7 +1356,7 @@
             transition: background-color ${CONFIG.CHAT.ANIMATION.CHOICE_HOVER_DURATION}s ease;
             max-width: ${CONFIG.CHAT.BUBBLES.USER.MAX_WIDTH}px;
             word-wrap: break-word;
-            text-align: left;
+            text-align: start;
             margin: 0 ${CONFIG.CHAT.BUBBLES.USER.MARGIN.X}px;
             animation: fadeIn ${CONFIG.CHAT.ANIMATION.BUBBLE_APPEAR_DURATION}s ease-out;
             opacity: 0;
@@ -689,6 +1364,9 @@
           `;
 
           button.textContent = choice.label;
+          if (index < 9) {
+            button.setAttribute('aria-keyshortcuts', String(index + 1));
+          }
 
           // Hover effect
           button.addEventListener('mouseenter', () => {
@@ -700,7 +1378,10 @@
           });
 
           // Click handler
-          button.addEventListener('click', () => {
+          button.addEventListener('click', event => {
+            // Keyboard presses and number keys produce clicks without a pointer (detail 0)
+            this.keyboardChoice = event.detail === 0;
+
             // Remove all choice buttons and replace with selected choice as regular message
             this.hideChoices();
 
@@ -708,18 +1389,124 @@
               choice.action();
             } else {
               this.addMessage('You', choice.label, 'user');
-              this.currentNode = choice.next;
-              setTimeout(() => {
-                this.showNextMessage();
-              }, 500);
+              this.setVariables(choice.set);
+              this.followTransition(choice.next, 500);
             }
           });
 
           // Add button to container (this causes the gradual push-up effect)
           choicesContainer.appendChild(button);
           scrollFunction();
-        }, CONFIG.CHAT.ANIMATION.CHOICE_INITIAL_DELAY * 1000 + (index * CONFIG.CHAT.ANIMATION.CHOICE_STAGGER_DELAY * 1000));
+
+          // Keep keyboard users on the choices from one prompt to the next
+          if (index === 0 && this.keyboardChoice && this.getChoiceButtons()[0] === button) {
+            button.focus();
+          }
+        }, FaceApp.Motion.chatDelay(CONFIG.CHAT.ANIMATION.CHOICE_INITIAL_DELAY * 1000 + (index * CONFIG.CHAT.ANIMATION.CHOICE_STAGGER_DELAY * 1000)));
       });
+
+      // The text input and back link follow the last button
+      if (options.onFreeText || options.onBack) {
+        setTimeout(() => {
+          if (options.onFreeText) {
+            choicesContainer.appendChild(this.createFreeTextInput(options.onFreeText));
+          }
+          if (options.onBack) {
+            choicesContainer.appendChild(this.createBackLink(options.onBack));
+          }
+          scrollFunction();
+        }, FaceApp.Motion.chatDelay(CONFIG.CHAT.ANIMATION.CHOICE_INITIAL_DELAY * 1000 + (choices.length * CONFIG.CHAT.ANIMATION.CHOICE_STAGGER_DELAY * 1000)));
+      }
+    }
+
+    /**
+     * Create the link that takes back the previous answer
+     * @param {Function} onBack - Called on click
+     * @returns {HTMLElement} Link button
+     */
+    createBackLink(onBack) {
+      const link = document.createElement('button');
+      link.className = 'back-link';
+      link.textContent = FaceApp.I18n.t('undo.label');
+      link.style.cssText = `
+        align-self: flex-start;
+        background: none;
+        border: none;
+        padding: 0;
+        margin: 0 ${CONFIG.CHAT.BUBBLES.USER.MARGIN.X}px;
+        font-family: ${CONFIG.CHAT.TEXT.FONT_FAMILY};
+        font-size: ${CONFIG.CHAT.TEXT.SPEAKER_FONT_SIZE}px;
+        color: ${CONFIG.CHAT.TEXT.SPEAKER_COLOR};
+        cursor: pointer;
+        animation: fadeIn ${CONFIG.CHAT.ANIMATION.BUBBLE_APPEAR_DURATION}s ease-out;
+      `;
+
+      link.addEventListener('click', event => {
+        this.keyboardChoice = event.detail === 0;
+        onBack();
+      });
+      return link;
+    }
+
+    /**
+     * Create the text input for typing an answer instead of choosing one
+     * @param {Function} onSubmit - Called with the typed text
+     * @returns {HTMLElement} Input row
+     */
+    createFreeTextInput(onSubmit) {
+      const form = document.createElement('form');
+      form.className = 'free-text-answer';
+      form.style.cssText = `
+        display: flex;
+        gap: 6px;
+        align-self: stretch;
+        margin: 0 ${CONFIG.CHAT.BUBBLES.USER.MARGIN.X}px;
+        animation: fadeIn ${CONFIG.CHAT.ANIMATION.BUBBLE_APPEAR_DURATION}s ease-out;
+      `;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.maxLength = CONFIG.CHAT.FREE_TEXT.MAX_LENGTH;
+      input.placeholder = FaceApp.I18n.t('freeText.placeholder');
+      input.setAttribute('aria-label', input.placeholder);
+      input.style.cssText = `
+        flex: 1;
+        min-width: 0;
+        border: 1px solid ${CONFIG.CHAT.BUBBLES.USER.BACKGROUND};
+        border-radius: ${CONFIG.CHAT.BUBBLES.USER.BORDER_RADIUS}px;
+        padding: ${CONFIG.CHAT.BUBBLES.USER.PADDING.Y}px ${CONFIG.CHAT.BUBBLES.USER.PADDING.X}px;
+        font-family: ${CONFIG.CHAT.TEXT.FONT_FAMILY};
+        font-size: ${CONFIG.CHAT.TEXT.FONT_SIZE}px;
+        outline: none;
+      `;
+
+      const send = document.createElement('button');
+      send.type = 'submit';
+      send.textContent = '↑';
+      send.setAttribute('aria-label', FaceApp.I18n.t('freeText.send'));
+      send.style.cssText = `
+        border: none;
+        border-radius: ${CONFIG.CHAT.BUBBLES.USER.BORDER_RADIUS}px;
+        padding: 0 12px;
+        background: ${CONFIG.CHAT.BUBBLES.PABLO.BACKGROUND};
+        color: ${CONFIG.CHAT.BUBBLES.PABLO.TEXT_COLOR};
+        font-size: ${CONFIG.CHAT.TEXT.FONT_SIZE}px;
+        cursor: pointer;
+      `;
+
+      form.addEventListener('submit', event => {
+        event.preventDefault();
+        if (!input.value.trim()) return;
+
+        // Same as clicking a choice: clear the choices, then answer
+        this.keyboardChoice = true;
+        this.hideChoices();
+        onSubmit(input.value);
+      });
+
+      form.appendChild(input);
+      form.appendChild(send);
+      return form;
     }
 
     /**
@@ -870,6 +1657,7 @@
         document.head.appendChild(styleSheet);
 
         slider.id = `phone-slider-${index}`;
+        FaceApp.Accessibility.labelSlider(slider, index);
 
         // Create container for slider with side labels
         const sliderWithLabels = document.createElement('div');
@@ -883,6 +1671,8 @@
         // Right emoji label
         const rightLabel = document.createElement('span');
         rightLabel.textContent = dimension.right;
+        leftLabel.setAttribute('aria-hidden', 'true'); // The slider's own label names both sides
+        rightLabel.setAttribute('aria-hidden', 'true');
         rightLabel.style.cssText = 'font-size: 24px; flex-shrink: 0;';
 
         // Assemble slider with labels
@@ -912,7 +1702,10 @@
 
       // Add save hint at bottom of phone sliders
       const saveHint = document.createElement('div');
-      saveHint.textContent = 'press s to save png';
+      saveHint.textContent = FaceApp.I18n.t('hint.save', {
+        png: CONFIG.UI.SHORTCUTS.SAVE_KEY,
+        svg: CONFIG.UI.SHORTCUTS.SAVE_SVG_KEY
+      });
       saveHint.style.cssText = `
         position: absolute;
         bottom: 15px;
@@ -1020,6 +1813,7 @@
         document.head.appendChild(styleSheet);
 
         slider.id = `portrait-slider-${index}`;
+        FaceApp.Accessibility.labelSlider(slider, index);
 
         // Create container for slider with side labels
         const sliderWithLabels = document.createElement('div');
@@ -1033,6 +1827,8 @@
         // Right emoji label
         const rightLabel = document.createElement('span');
         rightLabel.textContent = dimension.right;
+        leftLabel.setAttribute('aria-hidden', 'true'); // The slider's own label names both sides
+        rightLabel.setAttribute('aria-hidden', 'true');
         rightLabel.style.cssText = 'font-size: 16px; flex-shrink: 0;';
 
         // Assemble slider with labels
@@ -1179,6 +1975,7 @@
       // Create portrait text area container
       this.portraitTextArea = document.createElement('div');
       this.portraitTextArea.className = 'portrait-text-area';
+      this.portraitTextArea.dir = FaceApp.I18n.getDirection();
       this.portraitTextArea.style.cssText = `
         position: fixed;
         left: ${left}px;
@@ -1274,7 +2071,7 @@
       const viewportWidth = window.innerWidth;
       const viewportHeight = window.innerHeight;
 
-      this.flipToggle.textContent = customText || config.PORTRAIT_TEXT;
+      this.flipToggle.textContent = customText || FaceApp.I18n.t('flip.portrait');
 
       // Determine visibility based on QA mode configuration
       let shouldShow = false;
@@ -1308,7 +2105,7 @@
     updateFlipToggleForLandscape() {
       if (!this.flipToggle) return;
 
-      this.flipToggle.textContent = this.phoneShowingSliders ? 'flip the phone ←' : 'flip the phone →';
+      this.flipToggle.textContent = FaceApp.I18n.t(this.phoneShowingSliders ? 'flip.toChat' : 'flip.toSliders');
 
       // Determine visibility based on QA mode configuration
       let shouldShow = false;
@@ -1387,10 +2184,17 @@
      * Reset the chat interface
      */
     reset() {
+      FaceApp.ChatSession.clear();
       this.currentNode = this.introData?.root || 'start';
       this.conversationHistory = [];
       this.mbtiScores = [0, 0, 0, 0];
       this.currentQuestionIndex = 0;
+      this.answers = [];
+      this.currentQuestion = null;
+      this.currentQuestionNode = null;
+      this.qaComplete = false;
+      this.variables = {};
+      this.steps = [];
       this.mode = 'intro';
       this.phoneShowingSliders = false;
       this.currentWorkflowMode = 'chat';
@@ -0,0 +1,602 @@
+/**
+ * Chat Validator
+ * Checks the intro conversation graph and the MBTI question bank for mistakes
+ * that would otherwise only show up mid-conversation
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * Creates an issue record
+   * @param {string} severity - 'error' or 'warning'
+   * @param {string} location - Where the problem is (e.g. 'nodes.start.choices[1]')
+   * @param {string} message - What is wrong
+   * @returns {Object} Issue
+   */
+  function issue(severity, location, message) {
+    return { severity, location, message };
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Lists every `next` target declared in an intro node, including its branches
+   * @param {Object} node - Intro node
+   * @returns {Array} Array of { target, location } (location relative to the node)
+   */
+  function getTransitions(node) {
+    const transitions = [];
+    const collect = (body, prefix) => {
+      if (body.next !== undefined && body.next !== null) {
+        transitions.push({ target: body.next, location: `${prefix}next` });
+      }
+      if (Array.isArray(body.choices)) {
+        body.choices.forEach((choice, i) => {
+          if (isPlainObject(choice) && choice.next !== undefined && choice.next !== null) {
+            transitions.push({ target: choice.next, location: `${prefix}choices[${i}].next` });
+          }
+        });
+      }
+    };
+
+    collect(node, '');
+    if (Array.isArray(node.branches)) {
+      node.branches.forEach((branch, i) => isPlainObject(branch) && collect(branch, `branches[${i}].`));
+    }
+    return transitions;
+  }
+
+  /**
+   * Lists the ways an intro node can play out: one per branch, plus the node's own
+   * fields when no branch is unconditional
+   * @param {Object} node - Intro node
+   * @returns {Array} Array of { location, body } with branch fields merged over the node
+   */
+  function getVariants(node) {
+    const { branches, ...base } = node;
+    if (!Array.isArray(branches)) {
+      return [{ location: '', body: base }];
+    }
+
+    const variants = branches
+      .map((branch, i) => isPlainObject(branch) && { location: `.branches[${i}]`, body: { ...base, ...branch } })
+      .filter(Boolean);
+    if (!branches.some(branch => isPlainObject(branch) && branch.if === undefined)) {
+      variants.push({ location: '', body: base });
+    }
+    return variants;
+  }
+
+  /**
+   * Lists the places in an intro node that hold choices, conditions or variables
+   * @param {Object} node - Intro node
+   * @returns {Array} Array of { location, body } for the node and each of its branches
+   */
+  function getDeclarations(node) {
+    const declarations = [{ location: '', body: node }];
+    if (Array.isArray(node.branches)) {
+      node.branches.forEach((branch, i) => {
+        if (isPlainObject(branch)) declarations.push({ location: `.branches[${i}]`, body: branch });
+      });
+    }
+    return declarations;
+  }
+
+  /**
+   * Validates the intro conversation graph
+   * @param {Object} introData - Parsed intro script ({ root, nodes })
+   * @returns {Array} Issues found
+   */
+  function validateIntro(introData) {
+    const issues = [];
+    const sentinels = CONFIG.CHAT.SENTINELS;
+    const axes = CONFIG.MBTI.AXES;
+
+    if (!isPlainObject(introData)) {
+      return [issue('error', 'intro', 'Script must be a mapping with "root" and "nodes"')];
+    }
+
+    const nodes = introData.nodes;
+    if (!isPlainObject(nodes) || Object.keys(nodes).length === 0) {
+      return [issue('error', 'nodes', 'Script has no nodes')];
+    }
+
+    if (introData.root === undefined || introData.root === null) {
+      issues.push(issue('error', 'root', 'Missing "root" node name'));
+    } else if (!nodes[introData.root]) {
+      issues.push(issue('error', 'root', `Root node "${introData.root}" does not exist`));
+    }
+
+    // Variables assigned anywhere in the script (conditions may only read these or an axis)
+    const assigned = new Set();
+    const conditions = [];
+
+    // Per-node structure and targets
+    Object.entries(nodes).forEach(([name, node]) => {
+      const where = `nodes.${name}`;
+
+      if (sentinels.includes(name)) {
+        issues.push(issue('error', where, `Node name "${name}" is reserved`));
+      }
+      if (!isPlainObject(node)) {
+        issues.push(issue('error', where, 'Node must be a mapping'));
+        return;
+      }
+
+      if (node.branches !== undefined) {
+        if (!Array.isArray(node.branches) || node.branches.length === 0) {
+          issues.push(issue('error', `${where}.branches`, 'Branches must be a non-empty list'));
+        } else {
+          node.branches.forEach((branch, i) => {
+            if (!isPlainObject(branch)) {
+              issues.push(issue('error', `${where}.branches[${i}]`, 'Branch must be a mapping'));
+            } else if (node.branches.slice(0, i).some(b => isPlainObject(b) && b.if === undefined)) {
+              issues.push(issue('warning', `${where}.branches[${i}]`, 'Never used: an earlier branch has no "if"'));
+            }
+          });
+        }
+      }
+
+      getDeclarations(node).forEach(({ location, body }) => {
+        const declWhere = `${where}${location}`;
+
+        if (location && body.if !== undefined) {
+          conditions.push({ location: `${declWhere}.if`, expression: body.if });
+        }
+
+        if (body.set !== undefined) {
+          checkAssignments(body.set, `${declWhere}.set`, assigned, issues);
+        }
+
+        if (body.choices !== undefined) {
+          if (!Array.isArray(body.choices) || body.choices.length === 0) {
+            issues.push(issue('error', `${declWhere}.choices`, 'Choices must be a non-empty list'));
+            return;
+          }
+          body.choices.forEach((choice, i) => {
+            const choiceWhere = `${declWhere}.choices[${i}]`;
+            if (!isPlainObject(choice)) {
+              issues.push(issue('error', choiceWhere, 'Choice must be a mapping with "label" and "next"'));
+              return;
+            }
+            if (typeof choice.label !== 'string' || choice.label.trim() === '') {
+              issues.push(issue('error', `${choiceWhere}.label`, 'Missing choice label'));
+            }
+            if (choice.next === undefined || choice.next === null) {
+              issues.push(issue('error', `${choiceWhere}.next`, 'Choice leads nowhere (missing "next")'));
+            }
+            if (choice.if !== undefined) {
+              conditions.push({ location: `${choiceWhere}.if`, expression: choice.if });
+            }
+            if (choice.set !== undefined) {
+              checkAssignments(choice.set, `${choiceWhere}.set`, assigned, issues);
+            }
+          });
+        }
+      });
+
+      // Whichever branch plays, the user needs text and a way forward
+      getVariants(node).forEach(({ location, body }) => {
+        const variantWhere = `${where}${location}`;
+        const fallback = location === '' && Array.isArray(node.branches) ? ' when no branch matches' : '';
+
+        // Question nodes may go straight to the question
+        if (body.question === undefined && (typeof body.text !== 'string' || body.text.trim() === '')) {
+          issues.push(issue('error', `${variantWhere}.text`, `Missing message text${fallback}`));
+        }
+        if (body.question !== undefined && body.choices !== undefined) {
+          issues.push(issue('error', `${variantWhere}.choices`, 'Question nodes take their choices from the question bank'));
+        }
+        if (getTransitions({ next: body.next, choices: body.choices }).length === 0) {
+          issues.push(issue('error', variantWhere, `Dead end${fallback}: neither "next" nor "choices"`));
+        }
+      });
+
+      getTransitions(node).forEach(({ target, location }) => {
+        if (!nodes[target] && !sentinels.includes(target)) {
+          issues.push(issue('error', `${where}.${location}`,
+            `Unknown target "${target}" (expected a node name or ${sentinels.join('/')})`));
+        }
+      });
+    });
+
+    // Question-bank extras: remarks between questions and the outro node
+    const qa = introData.qa;
+    if (qa !== undefined && qa !== null) {
+      if (!isPlainObject(qa)) {
+        issues.push(issue('error', 'qa', 'Must be a mapping with "remarks" and/or "outro"'));
+      } else {
+        if (qa.outro !== undefined && !nodes[qa.outro]) {
+          issues.push(issue('error', 'qa.outro', `Outro node "${qa.outro}" does not exist`));
+        }
+        if (qa.remarks !== undefined) {
+          if (!Array.isArray(qa.remarks)) {
+            issues.push(issue('error', 'qa.remarks', 'Remarks must be a list'));
+          } else {
+            qa.remarks.forEach((remark, i) => {
+              const remarkWhere = `qa.remarks[${i}]`;
+              if (!isPlainObject(remark)) {
+                issues.push(issue('error', remarkWhere, 'Remark must be a mapping with "after" and "text"'));
+                return;
+              }
+              if (!Number.isInteger(remark.after) || remark.after < 1) {
+                issues.push(issue('error', `${remarkWhere}.after`, 'Must be the number of answered questions (1 or more)'));
+              }
+              if (typeof remark.text !== 'string' || remark.text.trim() === '') {
+                issues.push(issue('error', `${remarkWhere}.text`, 'Missing remark text'));
+              }
+              if (remark.if !== undefined) {
+                conditions.push({ location: `${remarkWhere}.if`, expression: remark.if });
+              }
+            });
+          }
+        }
+      }
+    }
+    const outro = isPlainObject(qa) && nodes[qa.outro] ? qa.outro : null;
+
+    // Conditions must parse and read only axes or assigned variables
+    conditions.forEach(({ location, expression }) => {
+      try {
+        FaceApp.ChatConditions.getNames(expression)
+          .filter(name => !axes.includes(name) && !assigned.has(name))
+          .forEach(name => issues.push(issue('warning', location, `Variable "${name}" is never set`)));
+      } catch (error) {
+        issues.push(issue('error', location, error.message));
+      }
+    });
+
+    if (!nodes[introData.root]) {
+      return issues;
+    }
+
+    // Every node should be reachable from root (or from the outro, which plays after the questions)
+    const reachable = findReachable(nodes, outro ? [introData.root, outro] : [introData.root]);
+    Object.keys(nodes)
+      .filter(name => !reachable.has(name))
+      .forEach(name => issues.push(issue('warning', `nodes.${name}`, `Unreachable from root "${introData.root}"`)));
+
+    // The outro must not start the questions again (the bank is exhausted, so it would loop)
+    if (outro) {
+      findReachable(nodes, [outro]).forEach(name => {
+        getTransitions(nodes[name])
+          .filter(({ target }) => target === 'BEGIN_QA')
+          .forEach(({ location }) => issues.push(issue('error', `nodes.${name}.${location}`,
+            `Reachable from the outro "${outro}", so BEGIN_QA would loop`)));
+      });
+    }
+
+    // Every reachable node should eventually hand over to the app (no loops without an exit)
+    const canFinish = new Set();
+    let changed = true;
+    while (changed) {
+      changed = false;
+      reachable.forEach(name => {
+        if (canFinish.has(name) || !isPlainObject(nodes[name])) return;
+        const finishes = getTransitions(nodes[name]).some(({ target }) =>
+          sentinels.includes(target) || canFinish.has(target));
+        if (finishes) {
+          canFinish.add(name);
+          changed = true;
+        }
+      });
+    }
+    reachable.forEach(name => {
+      if (!canFinish.has(name) && isPlainObject(nodes[name]) && getTransitions(nodes[name]).length > 0) {
+        issues.push(issue('error', `nodes.${name}`, `Dead end: no path from here reaches ${sentinels.join(' or ')}`));
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Collects the nodes reachable from the given start nodes
+   * @param {Object} nodes - Intro nodes by name
+   * @param {Array} starts - Names to start from
+   * @returns {Set} Reachable node names (including the starts)
+   */
+  function findReachable(nodes, starts) {
+    const reachable = new Set(starts);
+    const queue = [...starts];
+    while (queue.length) {
+      const node = nodes[queue.shift()];
+      if (!isPlainObject(node)) continue;
+      getTransitions(node).forEach(({ target }) => {
+        if (nodes[target] && !reachable.has(target)) {
+          reachable.add(target);
+          queue.push(target);
+        }
+      });
+    }
+    return reachable;
+  }
+
+  /**
+   * Checks intro question nodes against the question bank
+   * @param {Object} introData - Parsed intro script
+   * @param {Array} questions - Parsed question list
+   * @returns {Array} Issues found
+   */
+  function validateQuestionNodes(introData, questions) {
+    const issues = [];
+    if (!isPlainObject(introData) || !isPlainObject(introData.nodes) || !Array.isArray(questions)) {
+      return issues;
+    }
+
+    Object.entries(introData.nodes).forEach(([name, node]) => {
+      if (!isPlainObject(node)) return;
+
+      getDeclarations(node).forEach(({ location, body }) => {
+        const where = `nodes.${name}${location}`;
+        if (body.question === undefined) return;
+
+        const question = questions.find(q => isPlainObject(q) && q.id === body.question);
+        if (!question) {
+          issues.push(issue('error', `${where}.question`, `No question with id ${body.question} in the question bank`));
+          return;
+        }
+
+        const reactions = body.reactions !== undefined ? body.reactions : node.reactions;
+        if (reactions !== undefined) {
+          checkReactions(reactions, question.answers, `${where}.reactions`, issues);
+        }
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Checks a reactions list (one line, or null, per answer)
+   * @param {Array} reactions - Reaction lines
+   * @param {Array} answers - Answers they follow
+   * @param {string} location - Where the list is
+   * @param {Array} issues - Collects issues
+   */
+  function checkReactions(reactions, answers, location, issues) {
+    if (!Array.isArray(reactions)) {
+      issues.push(issue('error', location, 'Reactions must be a list with one line per answer'));
+      return;
+    }
+    if (Array.isArray(answers) && reactions.length !== answers.length) {
+      issues.push(issue('error', location, `${answers.length} answers but ${reactions.length} reactions`));
+    }
+    reactions.forEach((reaction, i) => {
+      if (reaction !== null && typeof reaction !== 'string') {
+        issues.push(issue('error', `${location}[${i}]`, 'Reaction must be text (or null for none)'));
+      }
+    });
+  }
+
+  /**
+   * Checks a `set:` mapping and records the variables it assigns
+   * @param {Object} assignments - Variable values
+   * @param {string} location - Where the mapping is
+   * @param {Set} assigned - Collects assigned variable names
+   * @param {Array} issues - Collects issues
+   */
+  function checkAssignments(assignments, location, assigned, issues) {
+    if (!isPlainObject(assignments)) {
+      issues.push(issue('error', location, 'Set must be a mapping of variable names to values'));
+      return;
+    }
+    Object.keys(assignments).forEach(name => {
+      if (CONFIG.MBTI.AXES.includes(name)) {
+        issues.push(issue('error', `${location}.${name}`, 'MBTI axes come from answers and cannot be set'));
+      } else if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) || ['and', 'or', 'not', 'true', 'false', 'null'].includes(name)) {
+        issues.push(issue('error', `${location}.${name}`, 'Variable names must be identifiers (letters, digits, _)'));
+      }
+      assigned.add(name);
+    });
+  }
+
+  /**
+   * Validates the MBTI question bank
+   * @param {Array} questions - Parsed question list
+   * @returns {Array} Issues found
+   */
+  function validateQuestions(questions) {
+    const issues = [];
+    const axes = CONFIG.MBTI.AXES;
+
+    if (!Array.isArray(questions)) {
+      return [issue('error', 'questions', 'Question bank must be a list')];
+    }
+    if (questions.length === 0) {
+      issues.push(issue('warning', 'questions', 'Question bank is empty'));
+    }
+
+    const seenIds = new Set();
+    questions.forEach((question, q) => {
+      const where = `questions[${q}]`;
+
+      if (!isPlainObject(question)) {
+        issues.push(issue('error', where, 'Question must be an object'));
+        return;
+      }
+
+      if (question.id === undefined && CONFIG.CHAT.QUESTION_SELECTION.MODE === 'adaptive') {
+        issues.push(issue('warning', `${where}.id`, 'Adaptive selection skips questions without an id'));
+      } else if (question.id !== undefined) {
+        if (seenIds.has(question.id)) {
+          issues.push(issue('warning', `${where}.id`, `Duplicate id ${question.id}`));
+        }
+        seenIds.add(question.id);
+      }
+
+      if (typeof question.question !== 'string' || question.question.trim() === '') {
+        issues.push(issue('error', `${where}.question`, 'Missing question text'));
+      }
+
+      if (question.axes !== undefined) {
+        if (!Array.isArray(question.axes) || question.axes.length === 0) {
+          issues.push(issue('error', `${where}.axes`, 'Axis tags must be a non-empty list'));
+        } else {
+          question.axes
+            .filter(axis => !axes.includes(axis))
+            .forEach(axis => issues.push(issue('error', `${where}.axes`, `Unknown axis tag "${axis}" (expected one of ${axes.join(', ')})`)));
+        }
+      }
+
+      if (!Array.isArray(question.answers) || question.answers.length === 0) {
+        issues.push(issue('error', `${where}.answers`, 'Answers must be a non-empty list'));
+        return;
+      }
+      question.answers.forEach((answer, a) => {
+        if (typeof answer !== 'string' || answer.trim() === '') {
+          issues.push(issue('error', `${where}.answers[${a}]`, 'Answer must be non-empty text'));
+        }
+      });
+
+      if (!Array.isArray(question.scores)) {
+        issues.push(issue('error', `${where}.scores`, 'Missing scores list'));
+        return;
+      }
+      if (question.reactions !== undefined) {
+        checkReactions(question.reactions, question.answers, `${where}.reactions`, issues);
+      }
+      if (question.scores.length !== question.answers.length) {
+        issues.push(issue('error', `${where}.scores`,
+          `${question.answers.length} answers but ${question.scores.length} score objects`));
+      }
+
+      question.answers.forEach((answer, a) => {
+        const scores = question.scores[a];
+        const scoreWhere = `${where}.scores[${a}]`;
+        if (scores === undefined) return;
+        if (!isPlainObject(scores)) {
+          issues.push(issue('error', scoreWhere, 'Score must be an object of axis deltas'));
+          return;
+        }
+        Object.entries(scores).forEach(([axis, value]) => {
+          if (!axes.includes(axis)) {
+            issues.push(issue('error', `${scoreWhere}.${axis}`, `Unknown axis (expected one of ${axes.join(', ')})`));
+          } else if (typeof value !== 'number' || !isFinite(value)) {
+            issues.push(issue('error', `${scoreWhere}.${axis}`, 'Score must be a number'));
+          }
+        });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Validates the keyword lexicon used to score typed answers
+   * @param {Object} lexicon - Parsed lexicon file
+   * @returns {Array} Issues found
+   */
+  function validateLexicon(lexicon) {
+    const issues = [];
+    const axes = CONFIG.MBTI.AXES;
+
+    if (!isPlainObject(lexicon) || !isPlainObject(lexicon.axes)) {
+      return [issue('error', 'lexicon', 'Lexicon must be an object with an "axes" mapping')];
+    }
+
+    Object.entries(lexicon.axes).forEach(([axis, table]) => {
+      const where = `axes.${axis}`;
+      if (!axes.includes(axis)) {
+        issues.push(issue('error', where, `Unknown axis (expected one of ${axes.join(', ')})`));
+        return;
+      }
+      if (!isPlainObject(table)) {
+        issues.push(issue('error', where, 'Must be a mapping of terms to weights'));
+        return;
+      }
+
+      Object.entries(table).forEach(([term, weight]) => {
+        if (!/^[a-z0-9']+( [a-z0-9']+)*\*?$/.test(term)) {
+          issues.push(issue('error', `${where}["${term}"]`, 'Terms must be lowercase words separated by single spaces'));
+        } else if (typeof weight !== 'number' || !isFinite(weight) || weight === 0) {
+          issues.push(issue('error', `${where}["${term}"]`, 'Weight must be a non-zero number'));
+        }
+      });
+
+      const weights = Object.values(table).filter(weight => typeof weight === 'number');
+      if (!weights.some(weight => weight < 0) || !weights.some(weight => weight > 0)) {
+        issues.push(issue('warning', where, 'Typed answers can only move this axis one way'));
+      }
+    });
+    axes
+      .filter(axis => !(axis in lexicon.axes))
+      .forEach(axis => issues.push(issue('warning', `axes.${axis}`, 'No terms: typed answers never move this axis')));
+
+    if (lexicon.negations !== undefined &&
+        (!Array.isArray(lexicon.negations) || lexicon.negations.some(word => typeof word !== 'string'))) {
+      issues.push(issue('error', 'negations', 'Negations must be a list of words'));
+    }
+    if (lexicon.intensifiers !== undefined) {
+      if (!isPlainObject(lexicon.intensifiers)) {
+        issues.push(issue('error', 'intensifiers', 'Intensifiers must be a mapping of words to multipliers'));
+      } else {
+        Object.entries(lexicon.intensifiers)
+          .filter(([, factor]) => typeof factor !== 'number' || !isFinite(factor))
+          .forEach(([word]) => issues.push(issue('error', `intensifiers.${word}`, 'Multiplier must be a number')));
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Validates all chat data
+   * @param {Object} data - Chat data (omit a part to skip it)
+   * @param {Object} data.intro - Parsed intro script
+   * @param {Array} data.questions - Parsed question bank
+   * @param {Object} data.lexicon - Parsed keyword lexicon for typed answers
+   * @param {Object} files - File names used to label issues (defaults to CONFIG.CHAT.FILES)
+   * @returns {Object} { valid, errors, warnings, issues }
+   */
+  function validate({ intro, questions, lexicon }, files = {}) {
+    const {
+      intro: introFile = CONFIG.CHAT.FILES.INTRO_YAML,
+      questions: questionsFile = CONFIG.CHAT.FILES.MBTI_QUESTIONS,
+      lexicon: lexiconFile = CONFIG.CHAT.FILES.MBTI_LEXICON
+    } = files;
+
+    const issues = [];
+    if (intro !== undefined) {
+      issues.push(...validateIntro(intro).map(i => ({ ...i, file: introFile })));
+    }
+    if (questions !== undefined) {
+      issues.push(...validateQuestions(questions).map(i => ({ ...i, file: questionsFile })));
+    }
+    if (lexicon !== undefined) {
+      issues.push(...validateLexicon(lexicon).map(i => ({ ...i, file: lexiconFile })));
+    }
+    if (intro !== undefined && questions !== undefined) {
+      issues.push(...validateQuestionNodes(intro, questions).map(i => ({ ...i, file: introFile })));
+    }
+    const errors = issues.filter(i => i.severity === 'error');
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings: issues.filter(i => i.severity === 'warning'),
+      issues
+    };
+  }
+
+  /**
+   * Formats an issue as a single line
+   * @param {Object} item - Issue from validate
+   * @returns {string} e.g. "error chat/intro.yaml nodes.start.next: Unknown target ..."
+   */
+  function formatIssue(item) {
+    return `${item.severity} ${item.file ? item.file + ' ' : ''}${item.location}: ${item.message}`;
+  }
+
+  // Export public interface
+  FaceApp.ChatValidator = {
+    validate,
+    validateIntro,
+    validateQuestions,
+    validateLexicon,
+    formatIssue
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -10,13 +10,44 @@
     FACES: {
       // Change this to switch face folder easily
       PATH: 'faces_v2',
-      COUNT: 6,
+      // Every face folder lists its files, names and canvas conventions here
+      MANIFEST: 'manifest.json',
+      // Shape parts in drawing order. Adding a row (plus its LINE_WEIGHTS and SCALING
+      // entries) is all a new part needs to load, morph and render.
+      // KEY: name in face files (defaults to the part name), WEIGHT: VISUAL.LINE_WEIGHTS entry,
+      // SCALING: VISUAL.SCALING entry, MIN_POINTS: fewest points a file may give,
+      // SAMPLE_POINTS: point count for PRE_NORMALIZE_POINTS (defaults to ANIMATION.MORPH.SAMPLE_POINTS),
+      // OPTIONAL: face files may leave the part out
+      PARTS: {
+        head:          { KEY: 'face', WEIGHT: 'HEAD', SCALING: 'HEAD', MIN_POINTS: 3 },
+        left_eye:      { WEIGHT: 'EYES', SCALING: 'LEFT_EYE', MIN_POINTS: 2, SAMPLE_POINTS: 8 },
+        right_eye:     { WEIGHT: 'EYES', SCALING: 'RIGHT_EYE', MIN_POINTS: 2, SAMPLE_POINTS: 8 },
+        mouth:         { WEIGHT: 'MOUTH', SCALING: 'MOUTH', MIN_POINTS: 2, SAMPLE_POINTS: 12 },
+        left_eyebrow:  { WEIGHT: 'EYEBROWS', SCALING: 'LEFT_EYEBROW', MIN_POINTS: 2, SAMPLE_POINTS: 8, OPTIONAL: true },
+        right_eyebrow: { WEIGHT: 'EYEBROWS', SCALING: 'RIGHT_EYEBROW', MIN_POINTS: 2, SAMPLE_POINTS: 8, OPTIONAL: true },
+        nose:          { WEIGHT: 'NOSE', SCALING: 'NOSE', MIN_POINTS: 2, SAMPLE_POINTS: 12, OPTIONAL: true },
+        left_ear:      { WEIGHT: 'EARS', SCALING: 'LEFT_EAR', MIN_POINTS: 2, SAMPLE_POINTS: 12, OPTIONAL: true },
+        right_ear:     { WEIGHT: 'EARS', SCALING: 'RIGHT_EAR', MIN_POINTS: 2, SAMPLE_POINTS: 12, OPTIONAL: true },
+        hair:          { WEIGHT: 'HAIR', SCALING: 'HAIR', MIN_POINTS: 2, OPTIONAL: true }
+      },
+      // Feature libraries: score parameter (MBTI.FEATURE_WEIGHTS row) -> shape parts it picks
+      // (see face-manifest.js). Features whose parts are all OPTIONAL are skipped when no file has them
+      LIBRARY_PARTS: {
+        head: ['head'],
+        eye: ['left_eye', 'right_eye'],
+        mouth: ['mouth'],
+        eyebrow: ['left_eyebrow', 'right_eyebrow'],
+        nose: ['nose'],
+        ear: ['left_ear', 'right_ear'],
+        hair: ['hair']
+      },
       // Preserve original point counts by default (no pre-normalization)
       // Set to true only if you want to equalize point counts on load
       PRE_NORMALIZE_POINTS: false,
-      // File paths for face JSON data
-      get FILES() {
-        return Array.from({ length: this.COUNT }, (_, i) => `${this.PATH}/face_${i + 1}.json`);
+      // Checks run on every face file before it is used (see face-validator.js)
+      VALIDATION: {
+        CLOSE_TOLERANCE: 0.02,  // Max start-end gap for heads in sets with canvas.closed_head
+        SHOW_WARNING: true      // Tell the user on the page when files were skipped
       }
     },
 
@@ -40,7 +71,11 @@
       LINE_WEIGHTS: {
         HEAD: 4,        // Head outline stroke weight
         EYES: 4,        // Eye stroke weight  
-        MOUTH: 4        // Mouth stroke weight
+        MOUTH: 4,       // Mouth stroke weight
+        EYEBROWS: 3,    // Eyebrow stroke weight
+        NOSE: 3,        // Nose stroke weight
+        EARS: 4,        // Ear stroke weight
+        HAIR: 3         // Hair stroke weight
       },
       // Line color
       STROKE_COLOR: 20, // Grayscale value (0=black, 255=white)
@@ -70,6 +105,42 @@
           SCALE_Y: 1.0,
           OFFSET_X: 0.0,
           OFFSET_Y: 0.0
+        },
+        LEFT_EYEBROW: {
+          SCALE_X: 1.0,
+          SCALE_Y: 1.0,
+          OFFSET_X: 0.0,
+          OFFSET_Y: 0.0
+        },
+        RIGHT_EYEBROW: {
+          SCALE_X: 1.0,
+          SCALE_Y: 1.0,
+          OFFSET_X: 0.0,
+          OFFSET_Y: 0.0
+        },
+        NOSE: {
+          SCALE_X: 1.0,
+          SCALE_Y: 1.0,
+          OFFSET_X: 0.0,
+          OFFSET_Y: 0.0
+        },
+        LEFT_EAR: {
+          SCALE_X: 1.0,
+          SCALE_Y: 1.0,
+          OFFSET_X: 0.0,
+          OFFSET_Y: 0.0
+        },
+        RIGHT_EAR: {
+          SCALE_X: 1.0,
+          SCALE_Y: 1.0,
+          OFFSET_X: 0.0,
+          OFFSET_Y: 0.0
+        },
+        HAIR: {
+          SCALE_X: 1.0,
+          SCALE_Y: 1.0,
+          OFFSET_X: 0.0,
+          OFFSET_Y: 0.0
         }
       }
     },
@@ -144,7 +215,10 @@
     UI: {
       // Keyboard shortcuts
       SHORTCUTS: {
-        SAVE_KEY: 's'         // Key to save PNG
+        SAVE_KEY: 's',        // Key to save PNG
+        SAVE_SVG_KEY: 'v',    // Key to save SVG (vector, one path per feature)
+        RECORD_GIF_KEY: 'g',  // Key to record an animated GIF
+        RECORD_FRAMES_KEY: 'f' // Key to record a zip of PNG frames
       },
 
       // File naming
@@ -153,10 +227,33 @@
       }
     },
 
+    // === SHARE LINKS ===
+    SHARE: {
+      ENABLED: true,          // Keep the portrait in the URL hash and restore it on load
+      PRECISION: 2,           // Decimal places per MBTI value in the link
+      SYNC_DELAY_MS: 300      // Debounce for URL updates while values animate
+    },
+
+    // === RECORDING ===
+    RECORDING: {
+      DURATION_SEC: 4,        // Length of the captured clip
+      FPS: 15,                // Frames per second
+      SIZE: 400,              // Width and height of each frame in pixels
+      // Blend the end of the clip back into its start so the organic motion loops seamlessly
+      SEAMLESS_LOOP: true,
+      // Noise time base (ms) for the first frame; null = the moment recording starts.
+      // Set a fixed value to capture the same motion every time
+      TIME_BASE: null
+    },
+
     // === BLENDING ===
     BLENDING: {
-      // Default weights when app starts (100% face 1)
-      DEFAULT_WEIGHTS: [1, 0, 0, 0, 0, 0]
+      // Face shown at 100% when the app starts (index into the manifest's faces)
+      DEFAULT_FACE: 0,
+      // Default weights for a set of faceCount faces (100% DEFAULT_FACE)
+      getDefaultWeights(faceCount) {
+        return Array.from({ length: faceCount }, (_, i) => (i === this.DEFAULT_FACE ? 1 : 0));
+      }
     },
 
     // === MBTI SYSTEM ===
@@ -164,6 +261,20 @@
       // Default MBTI values (all at neutral 0)
       DEFAULT_VALUES: [0, 0, 0, 0], // [e_i, s_n, t_f, j_p]
 
+      // Score keys used by question banks and FEATURE_WEIGHTS, in DEFAULT_VALUES order
+      AXES: ['e_i', 's_n', 't_f', 'j_p'],
+
+      // How a feature score picks its shape from the face files
+      // 'discrete': each file owns an equal bucket of the score range
+      // 'continuous': the score blends between the two neighbouring files
+      SELECTION_MODE: 'discrete',
+
+      // Continuous mode settings
+      CONTINUOUS: {
+        POSITION_STEP: 0.02,  // Blend positions are snapped to this step (keeps shapeCache bounded)
+        SAMPLE_POINTS: 32     // Shared point count both neighbours are resampled to before blending
+      },
+
       // MBTI dimension labels
       DIMENSIONS: [
         { name: 'E/I', left: '🕺', right: '🧘' },
@@ -189,6 +300,26 @@
           t_f: 0.4
         },
 
+        eyebrow: {
+          e_i: -0.4,
+          t_f: -0.4
+        },
+
+        nose: {
+          s_n: 0.5,
+          j_p: -0.3
+        },
+
+        ear: {
+          e_i: 0.3,
+          s_n: -0.4
+        },
+
+        hair: {
+          s_n: 0.4,
+          j_p: 0.6
+        },
+
         movement: {
           s_n: -0.4,
           j_p: 0.6
@@ -196,6 +327,36 @@
       }
     },
 
+    // === INTERNATIONALIZATION ===
+    I18N: {
+      DEFAULT_LOCALE: 'en',
+      // Supported locales; DIR: 'rtl' lays the chat out right-to-left
+      LOCALES: {
+        en: { NAME: 'English' },
+        es: { NAME: 'Español' },
+        ar: { NAME: 'العربية', DIR: 'rtl' }
+      },
+      URL_PARAM: 'lang',        // ?lang=es overrides the browser's language
+      STRINGS_PATH: 'locales'   // UI string tables: locales/<locale>.json
+      // Chat data for other locales lives next to the default files: chat/<locale>/intro.yaml
+    },
+
+    // === ACCESSIBILITY ===
+    ACCESSIBILITY: {
+      KEYBOARD_CHOICES: true,     // Number keys pick a chat choice, arrow keys move between choices
+      ANNOUNCE_MESSAGES: true,    // Read Pablo's new messages out to screen readers
+      LIVE_REGION_LINES: 5        // Announced lines kept in the hidden live region
+    },
+
+    // === REDUCED MOTION ===
+    MOTION: {
+      REDUCED: 'auto',            // 'auto' follows prefers-reduced-motion (or the toggle once used); true/false force it
+      STORAGE_KEY: 'portrait-motion', // localStorage key for the toggle's choice
+      CROSSFADE_SEC: 0.3,         // Reduced mode swaps faces with a crossfade this long (0 = instant swap)
+      CHAT_DELAY_SCALE: 0.25,     // Reduced mode multiplies typing, choice and pause delays by this
+      SHOW_TOGGLE: true           // Show the reduce motion toggle in the corner
+    },
+
     // === CHAT INTERFACE ===
     CHAT: {
       // QA Mode settings
@@ -204,10 +365,79 @@
         HIDE_TOGGLE_AFTER_QA: true,
       },
 
+      // Which questions each session draws from chat/mbti_questions.json
+      QUESTION_BANK: {
+        SAMPLE_SIZE: 10,         // Questions per session, balanced across axis tags (null = whole pool)
+        SHUFFLE_QUESTIONS: true, // Randomize question order
+        SHUFFLE_ANSWERS: true,   // Randomize answer order (scores and reactions move with their answer)
+        SEED: null               // Fixed seed for reproducible sessions (null = new seed per session)
+      },
+
+      // How the next Q&A question is picked from the bank
+      // 'fixed': file order
+      // 'adaptive': the question that tells us most about the axis the answers lean on least, stopping early
+      QUESTION_SELECTION: {
+        MODE: 'fixed',
+        ADAPTIVE: {
+          EVIDENCE_TARGET: 1.5, // How far (either way) an axis's running score must lean to count as confident
+          MAX_QUESTIONS: 8      // Question budget, including questions asked as intro nodes
+        }
+      },
+
+      // How accumulated answer scores become MBTI values in [-1, 1]
+      // 'range': scale by the furthest the answered questions could reach on each side of 0
+      // 'bank': the same, against every question in the bank (the portrait fills in as the quiz goes on)
+      // 'average': mean of each answer's position within its own question's range
+      // 'clamp': raw sums clamped to [-1, 1]
+      SCORE_NORMALIZATION: 'bank',
+
+      // Typed answers during the Q&A, scored offline with chat/mbti_lexicon.json
+      // (locales without their own lexicon do not offer typed answers)
+      FREE_TEXT: {
+        ENABLED: true,
+        MAX_LENGTH: 140,         // Characters allowed in a typed answer
+        MAX_DELTA: 0.8,          // Largest change a typed answer can make on one axis
+        NEGATION_WINDOW: 3       // Words back a "not"/"never" still flips a keyword
+      },
+
+      // Summary card shown when the Q&A is over, before the sliders
+      RESULTS: {
+        ENABLED: true,
+        TOP_ANSWERS: 1           // Answers listed per axis under "what moved it most"
+      },
+
+      // Back link under each prompt that takes back the previous answer
+      UNDO: {
+        ENABLED: true
+      },
+
+      // Where Pablo's lines come from (see chat-responder.js)
+      // 'script': the lines in chat/intro.yaml and the question bank
+      // 'http': POST each line to URL and say what comes back (the script is the fallback)
+      // `node mock-responder.js` serves URL locally for development
+      RESPONDER: {
+        TYPE: 'script',
+        URL: 'http://localhost:8787/line',
+        TIMEOUT: 4000            // Milliseconds to wait for a line before using the script
+      },
+
+      // Report broken intro nodes and questions in the console when chat data loads
+      VALIDATE_ON_LOAD: true,
+
+      // Intro `next` values that hand over to the app instead of another node
+      SENTINELS: ['BEGIN_QA', 'BEGIN_SELF'],
+
+      // Resume an unfinished conversation after a refresh
+      SESSION: {
+        ENABLED: true,
+        STORAGE_KEY: 'portrait-chat-session'
+      },
+
       // File paths
       FILES: {
         INTRO_YAML: 'chat/intro.yaml',
         MBTI_QUESTIONS: 'chat/mbti_questions.json',
+        MBTI_LEXICON: 'chat/mbti_lexicon.json',
         IPHONE_IMAGE: 'chat/iphone.png'
       },
 
@@ -257,8 +487,7 @@
           // Flip toggle positioning in portrait mode
           FLIP_TOGGLE: {
             BOTTOM_OFFSET_RATIO: 0.02,    // Distance from bottom as ratio of screen height
-            RIGHT_OFFSET_RATIO: 0.05,     // Distance from right as ratio of screen width
-            PORTRAIT_TEXT: 'show MBTI ->'    // Text to show in portrait mode
+            RIGHT_OFFSET_RATIO: 0.05      // Distance from right as ratio of screen width
           }
         }
       },
@@ -334,4 +563,4 @@
 
   // Export the configuration
   FaceApp.CONFIG = CONFIG;
-})(window);
+})(typeof window !== 'undefined' ? window : globalThis);
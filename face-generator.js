@@ -13,66 +13,225 @@
     constructor(appState) {
       this.appState = appState;
       this.NORMALIZED_POINT_COUNT = CONFIG.ANIMATION.MORPH.SAMPLE_POINTS || 32;
+      // What went wrong in the last loadFaceData: { skipped: [paths], fallback: boolean }
+      this.loadReport = { skipped: [], fallback: false };
     }
 
     /**
-     * Load all face data from JSON files and pre-normalize for optimal morphing
-     * @returns {Promise<Array>} Promise resolving to loaded face sets
+     * Load the files listed in the folder's manifest and pre-normalize for optimal morphing
+     * Files that are missing or fail validation are skipped; a feature left with no
+     * files (or a folder without a readable manifest) gets the built-in face instead
+     * @returns {Promise<Object>} Promise resolving to the feature libraries
      */
     async loadFaceData() {
+      let manifest;
+      const faceSetsByPath = new Map();
+
       try {
-        const faceSets = await Promise.all(CONFIG.FACES.FILES.map(async (file) => {
-          const data = await fetch(file).then(r => r.json());
-
-          // Convert array format to point objects, map 'face' to 'head'
-          const raw = {
-            head: this.arrayToPoints(data.face),  // Use 'face' field from JSON
-            left_eye: this.arrayToPoints(data.left_eye),
-            right_eye: this.arrayToPoints(data.right_eye),
-            mouth: this.arrayToPoints(data.mouth)
-          };
-
-          // Normalize structure (field names) only
-          const normalized = this.normalizeFaceSet(raw);
-
-          // Optionally pre-normalize point counts (disabled by default to preserve originals)
-          return CONFIG.FACES.PRE_NORMALIZE_POINTS
-            ? this.preNormalizePointCounts(normalized)
-            : normalized;
-        }));
-
-        console.log('Loaded and pre-normalized', faceSets.length, 'face sets');
-        this.appState.setFaceData(faceSets);
-        return faceSets;
+        manifest = await FaceApp.FaceManifest.load(CONFIG.FACES.PATH);
       } catch (error) {
-        console.error('Failed to load face data:', error);
-        throw error;
+        console.error('Failed to load face manifest:', error.message);
+        manifest = this.getFallbackManifest();
       }
+
+      // A whole-face file usually backs several libraries; fetch it once
+      const paths = this.getLibraryPaths(manifest);
+      await Promise.all(paths.map(async (filePath) => {
+        let data;
+        try {
+          const response = await fetch(filePath);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          data = await response.json();
+        } catch (error) {
+          console.error(`Skipping ${filePath}: could not load (${error.message})`);
+          return;
+        }
+
+        const faceSet = this.checkFaceData(data, manifest, filePath);
+        if (faceSet) {
+          faceSetsByPath.set(filePath, faceSet);
+        }
+      }));
+
+      const loaded = this.composeLibraries(manifest, faceSetsByPath);
+      this.loadReport = {
+        skipped: paths.filter(filePath => !faceSetsByPath.has(filePath)),
+        fallback: loaded.fallback
+      };
+
+      const sizes = Object.entries(loaded.libraries).map(([feature, library]) => `${library.length} ${feature}`);
+      console.log(`Loaded and pre-normalized ${sizes.join(', ')} from "${loaded.manifest.name}"`);
+      this.appState.setFaceData(loaded.libraries, loaded.manifest);
+      return loaded.libraries;
     }
 
     /**
-     * Converts array of [x,y] coordinates to array of {x,y} point objects
-     * @param {Array} arr - Array of [x, y] coordinate pairs
-     * @returns {Array} Array of {x, y} point objects
+     * Validate a face file and parse it if it passes
+     * @param {*} data - Parsed JSON
+     * @param {Object} manifest - Manifest that lists the file
+     * @param {string} filePath - Path of the file
+     * @returns {Object|null} Face set, or null when the file has errors (logged)
      */
-    arrayToPoints(arr) {
-      return (arr || []).map(([x, y]) => ({ x, y }));
+    checkFaceData(data, manifest, filePath) {
+      const { FaceValidator } = FaceApp;
+      const parts = FaceValidator.getRequiredParts(manifest, filePath);
+      const result = FaceValidator.validateFace(data, parts, manifest.canvas, filePath);
+
+      result.errors.forEach(item => console.error(FaceValidator.formatIssue(item)));
+      result.warnings.forEach(item => console.warn(FaceValidator.formatIssue(item)));
+      if (!result.valid) {
+        console.error(`Skipping ${filePath}: ${result.errors.length} error(s)`);
+        return null;
+      }
+
+      return this.parseFaceData(data, manifest.canvas);
     }
 
     /**
-     * Normalizes face set data (maps 'face' to 'head' and ensures consistent structure)
-     * @param {Object} set - Raw face set data
-     * @returns {Object} Normalized face set
+     * Face built from Shapes.LIB, used for any feature whose files all failed to load
+     * @returns {Object} Face set
      */
-    normalizeFaceSet(set) {
+    getFallbackFaceSet() {
+      const { LIB } = FaceApp.Shapes;
+      // LIB has a single eye shape; move it out to the left and mirror it for the right eye
+      const leftEye = LIB.eyes.eyes_open.map(p => ({ x: p.x - 0.06, y: p.y }));
+
+      return this.normalizeFaceSet({
+        head: LIB.head.head_front.map(p => ({ ...p })),
+        left_eye: leftEye,
+        right_eye: leftEye.map(p => ({ x: 1 - p.x, y: p.y })),
+        mouth: LIB.mouth.mouth_neutral.map(p => ({ ...p }))
+      });
+    }
+
+    /**
+     * Manifest standing in for a folder whose own manifest could not be read
+     * @returns {Object} Manifest with empty libraries (composeLibraries fills them from the built-in face)
+     */
+    getFallbackManifest() {
+      const libraries = {};
+      Object.keys(CONFIG.FACES.LIBRARY_PARTS).forEach(feature => {
+        libraries[feature] = [];
+      });
+
+      return {
+        folder: CONFIG.FACES.PATH,
+        name: 'Built-in face',
+        author: '',
+        version: '',
+        canvas: { ...FaceApp.FaceManifest.DEFAULT_CANVAS },
+        faces: [],
+        libraries
+      };
+    }
+
+    /**
+     * Every file the manifest's libraries use, each listed once
+     * @param {Object} manifest - From FaceManifest.parse
+     * @returns {Array} File paths
+     */
+    getLibraryPaths(manifest) {
+      const paths = new Set();
+      Object.values(manifest.libraries).forEach(library => {
+        library.forEach(entry => paths.add(entry.path));
+      });
+      return [...paths];
+    }
+
+    /**
+     * Arrange parsed files into per-feature libraries
+     * Entries whose file did not load are dropped from both the libraries and the returned
+     * manifest, so manifest entries and face sets keep lining up by index. Optional features
+     * only keep the files that draw them, and stay empty when none do
+     * @param {Object} manifest - From FaceManifest.parse
+     * @param {Map} faceSetsByPath - Parsed face set for each path that loaded
+     * @returns {Object} { libraries: { feature: [face set, ...] }, manifest, fallback } with libraries in score order
+     */
+    composeLibraries(manifest, faceSetsByPath) {
+      const libraries = {};
+      const entries = {};
+      let fallback = false;
+
+      Object.entries(manifest.libraries).forEach(([feature, library]) => {
+        const optional = FaceApp.FaceManifest.isOptionalFeature(feature);
+        const hasFeature = faceSet => CONFIG.FACES.LIBRARY_PARTS[feature].some(part => faceSet[part].length > 0);
+
+        entries[feature] = library.filter(entry => {
+          const faceSet = faceSetsByPath.get(entry.path);
+          return faceSet && (!optional || hasFeature(faceSet));
+        });
+        libraries[feature] = entries[feature].map(entry => faceSetsByPath.get(entry.path));
+
+        if (libraries[feature].length === 0 && !optional) {
+          console.warn(`No usable ${feature} files, using the built-in face`);
+          entries[feature] = [{ file: '', path: '', name: 'built-in', tags: {} }];
+          libraries[feature] = [this.getFallbackFaceSet()];
+          fallback = true;
+        }
+      });
+
       return {
-        head: set.head || set.face,  // Map 'face' to 'head' for consistency
-        left_eye: set.left_eye,
-        right_eye: set.right_eye,
-        mouth: set.mouth
+        libraries,
+        manifest: {
+          ...manifest,
+          faces: manifest.faces.filter(entry => faceSetsByPath.has(entry.path)),
+          libraries: entries
+        },
+        fallback
       };
     }
 
+    /**
+     * Convert raw face JSON into a normalized face set
+     * Feature library files only need the keys for their feature (e.g. just "mouth"),
+     * and optional parts (eyebrows, nose, ...) are empty when a file leaves them out
+     * @param {Object} data - Parsed face JSON ({ face, left_eye, right_eye, mouth, ... } as [x, y] arrays or stroke lists)
+     * @param {Object} canvas - Manifest canvas conventions (defaults to [0, 1], y down)
+     * @returns {Object} Face set with each part as a list of strokes
+     */
+    parseFaceData(data, canvas) {
+      // Convert array format to point objects, reading each part from its file key ('face' for the head)
+      const raw = {};
+      Object.entries(CONFIG.FACES.PARTS).forEach(([part, { KEY = part }]) => {
+        raw[part] = this.arrayToPoints(data[KEY], canvas);
+      });
+
+      // Normalize structure (field names) only
+      const normalized = this.normalizeFaceSet(raw);
+
+      // Optionally pre-normalize point counts (disabled by default to preserve originals)
+      return CONFIG.FACES.PRE_NORMALIZE_POINTS
+        ? this.preNormalizePointCounts(normalized)
+        : normalized;
+    }
+
+    /**
+     * Converts array of [x,y] coordinates to array of {x,y} point objects
+     * A part drawn as several strokes is converted stroke by stroke (see FaceManifest.readStrokes)
+     * @param {Array} arr - Array of [x, y] coordinate pairs, or a list of strokes
+     * @param {Object} canvas - Manifest canvas conventions the pairs were drawn in
+     * @returns {Array} Array of {x, y} point objects in [0, 1], y down, or strokes of them
+     */
+    arrayToPoints(arr, canvas) {
+      if (FaceApp.FaceManifest.isMultiStroke(arr)) {
+        return FaceApp.FaceManifest.readStrokes(arr, canvas);
+      }
+      return (arr || []).map(point => FaceApp.FaceManifest.toUnitPoint(point, canvas));
+    }
+
+    /**
+     * Normalizes face set data (maps file keys like 'face' to part names and ensures consistent structure)
+     * @param {Object} set - Raw face set data (parts as point arrays or strokes)
+     * @returns {Object} Normalized face set with one list of strokes per CONFIG.FACES.PARTS part
+     */
+    normalizeFaceSet(set) {
+      const normalized = {};
+      Object.entries(CONFIG.FACES.PARTS).forEach(([part, { KEY = part }]) => {
+        normalized[part] = FaceApp.utils.toStrokes(set[part] || set[KEY] || []);
+      });
+      return normalized;
+    }
+
     /**
      * Pre-normalize all features to have consistent point counts for smooth morphing
      * @param {Object} faceSet - Face set with varying point counts
@@ -81,29 +240,13 @@
     preNormalizePointCounts(faceSet) {
       const normalized = {};
 
-      ['head', 'left_eye', 'right_eye', 'mouth'].forEach(feature => {
-        if (faceSet[feature] && faceSet[feature].length > 0) {
-          // Use different target counts for different features for optimal morphing
-          let targetCount;
-          switch (feature) {
-            case 'head':
-              targetCount = Math.max(this.NORMALIZED_POINT_COUNT, faceSet[feature].length);
-              break;
-            case 'left_eye':
-            case 'right_eye':
-              targetCount = Math.max(8, faceSet[feature].length); // Eyes need fewer points
-              break;
-            case 'mouth':
-              targetCount = Math.max(12, faceSet[feature].length); // Mouth needs moderate points
-              break;
-            default:
-              targetCount = this.NORMALIZED_POINT_COUNT;
-          }
-
-          normalized[feature] = this.resamplePoints(faceSet[feature], targetCount);
-        } else {
-          normalized[feature] = [];
-        }
+      Object.entries(CONFIG.FACES.PARTS).forEach(([feature, part]) => {
+        // Use different target counts for different features for optimal morphing
+        // (small features like eyes need fewer points than the head)
+        normalized[feature] = FaceApp.utils.mapStrokePoints(faceSet[feature], points => {
+          const targetCount = Math.max(part.SAMPLE_POINTS || this.NORMALIZED_POINT_COUNT, points.length);
+          return this.resamplePoints(points, targetCount);
+        });
       });
 
       return normalized;
@@ -160,24 +303,13 @@
     /**
      * Helper function to show which shape indices are selected for debugging
      * @param {Object} faceParams - Face parameters
-     * @param {number} faceCount - Number of face files
-     * @returns {Object} Selected indices for each feature
+     * @returns {Object} Selected library index for each feature
      */
-    getShapeIndices(faceParams, faceCount) {
-      const indices = {};
-      ['head', 'eye', 'mouth'].forEach(feature => {
-        const score = faceParams[feature] || 0;
-        const clampedScore = Math.max(-1, Math.min(1, score));
-        const normalizedScore = (clampedScore + 1) / 2;
-        const segmentSize = 1.0 / faceCount;
-        let selectedIndex = Math.floor(normalizedScore / segmentSize);
-        if (selectedIndex >= faceCount) selectedIndex = faceCount - 1;
-        indices[feature] = selectedIndex;
-      });
-      return indices;
+    getShapeIndices(faceParams) {
+      return this.appState.getShapeIndices(faceParams);
     }
   }
 
   // Export the FaceGenerator
   FaceApp.FaceGenerator = FaceGenerator;
-})(window);
+})(typeof window !== 'undefined' ? window : globalThis);
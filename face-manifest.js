@@ -0,0 +1,182 @@
+/**
+ * Face Set Manifest
+ * Reads the manifest.json that sits in every face folder: which face files the set has,
+ * their display names and optional per-feature tags, who drew the set, its version and
+ * the coordinate conventions the points were drawn in.
+ * A manifest can also give a feature its own library ("features": { "mouth": [...] }),
+ * so a new mouth can be added without drawing a whole face; features without one are
+ * taken from the whole-face files.
+ * Inside a face file a part is either one [[x, y], ...] polyline or a list of strokes,
+ * each a polyline or { points, closed, weight, name }.
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  // Conventions of the original face files: [0, 1] on both axes, y pointing down,
+  // head outline drawn as an open stroke
+  const DEFAULT_CANVAS = { width: 1, height: 1, y_axis: 'down', closed_head: false };
+
+  /**
+   * Path of a folder's manifest
+   * @param {string} folder - Face folder
+   * @returns {string} Manifest path
+   */
+  function getManifestPath(folder) {
+    return `${folder}/${CONFIG.FACES.MANIFEST}`;
+  }
+
+  /**
+   * Whether every part of a feature is optional (the feature can be left out entirely)
+   * @param {string} feature - Key of CONFIG.FACES.LIBRARY_PARTS
+   * @returns {boolean} True for optional features
+   */
+  function isOptionalFeature(feature) {
+    return CONFIG.FACES.LIBRARY_PARTS[feature].every(part => CONFIG.FACES.PARTS[part].OPTIONAL);
+  }
+
+  /**
+   * Fill in a list of file entries
+   * @param {Array} entries - Bare file names or { file, name, tags }
+   * @param {string} folder - Folder the files live in
+   * @param {string} label - Where the list is, for error messages
+   * @returns {Array} [{ file, path, name, tags }]
+   */
+  function parseEntries(entries, folder, label) {
+    return entries.map((entry, i) => {
+      const item = typeof entry === 'string' ? { file: entry } : entry || {};
+      if (typeof item.file !== 'string' || !item.file) {
+        throw new Error(`${getManifestPath(folder)}: ${label} entry ${i + 1} has no "file"`);
+      }
+
+      return {
+        file: item.file,
+        path: `${folder}/${item.file}`,
+        name: item.name || item.file.replace(/\.json$/, ''),
+        tags: item.tags || {} // { feature: ['tag', ...] } for faces, ['tag', ...] in a feature library
+      };
+    });
+  }
+
+  /**
+   * Check and fill in a parsed manifest
+   * Entries can be a bare file name or { file, name, tags }. Each library is ordered
+   * along its feature's score axis, from -1 to +1
+   * @param {Object} data - Parsed manifest JSON
+   * @param {string} folder - Folder the manifest was read from
+   * @returns {Object} { folder, name, author, version, canvas, faces, libraries: { feature: entries } }
+   */
+  function parse(data, folder) {
+    if (!data) {
+      throw new Error(`${getManifestPath(folder)} is empty`);
+    }
+
+    const faces = parseEntries(Array.isArray(data.faces) ? data.faces : [], folder, 'faces');
+    const features = data.features || {};
+
+    // Unknown feature names would silently never be drawn
+    Object.keys(features).forEach(feature => {
+      if (!CONFIG.FACES.LIBRARY_PARTS[feature]) {
+        throw new Error(`${getManifestPath(folder)}: unknown feature "${feature}" (expected ${Object.keys(CONFIG.FACES.LIBRARY_PARTS).join(', ')})`);
+      }
+    });
+
+    const libraries = {};
+    Object.keys(CONFIG.FACES.LIBRARY_PARTS).forEach(feature => {
+      libraries[feature] = Array.isArray(features[feature]) && features[feature].length > 0
+        ? parseEntries(features[feature], folder, `features.${feature}`)
+        : faces;
+      if (libraries[feature].length === 0 && !isOptionalFeature(feature)) {
+        throw new Error(`${getManifestPath(folder)} needs "faces" or a "features.${feature}" library`);
+      }
+    });
+
+    const canvas = { ...DEFAULT_CANVAS, ...(data.canvas || {}) };
+    if (!(canvas.width > 0) || !(canvas.height > 0) || !['up', 'down'].includes(canvas.y_axis)) {
+      throw new Error(`${getManifestPath(folder)}: canvas needs a positive width and height and a y_axis of "up" or "down"`);
+    }
+
+    return {
+      folder,
+      name: data.name || folder,
+      author: data.author || '',
+      version: data.version || '',
+      canvas,
+      faces,
+      libraries
+    };
+  }
+
+  /**
+   * Fetch and parse a folder's manifest
+   * @param {string} folder - Face folder (defaults to CONFIG.FACES.PATH)
+   * @returns {Promise<Object>} Parsed manifest
+   */
+  async function load(folder = CONFIG.FACES.PATH) {
+    const response = await fetch(getManifestPath(folder));
+    if (!response.ok) {
+      throw new Error(`Could not load ${getManifestPath(folder)} (${response.status})`);
+    }
+    return parse(await response.json(), folder);
+  }
+
+  /**
+   * Convert a point from the manifest's canvas to the app's [0, 1], y-down space
+   * @param {Array} point - [x, y] as stored in the face file
+   * @param {Object} canvas - Manifest canvas conventions
+   * @returns {Object} {x, y} point
+   */
+  function toUnitPoint([x, y], canvas = DEFAULT_CANVAS) {
+    const unitY = y / canvas.height;
+    return {
+      x: x / canvas.width,
+      y: canvas.y_axis === 'up' ? 1 - unitY : unitY
+    };
+  }
+
+  /**
+   * Whether a part in a face file is a list of strokes rather than a single polyline
+   * @param {*} value - Value stored under the part's key
+   * @returns {boolean} True for [[[x, y], ...], ...] or [{ points, ... }, ...]
+   */
+  function isMultiStroke(value) {
+    if (!Array.isArray(value) || value.length === 0) return false;
+    const first = value[0];
+    return Array.isArray(first)
+      ? Array.isArray(first[0])
+      : first !== null && typeof first === 'object';
+  }
+
+  /**
+   * Read a part from a face file as strokes in the app's [0, 1], y-down space
+   * A single polyline becomes one open stroke
+   * @param {*} value - Value stored under the part's key (assumed valid, see FaceValidator)
+   * @param {Object} canvas - Manifest canvas conventions
+   * @returns {Array} [{ points: [{x, y}], closed, weight, name }]
+   */
+  function readStrokes(value, canvas = DEFAULT_CANVAS) {
+    if (!Array.isArray(value) || value.length === 0) return [];
+
+    return (isMultiStroke(value) ? value : [value]).map(stroke => {
+      const item = Array.isArray(stroke) ? { points: stroke } : stroke;
+      return {
+        points: item.points.map(point => toUnitPoint(point, canvas)),
+        closed: !!item.closed,
+        weight: item.weight ?? null, // null: the part's CONFIG.VISUAL.LINE_WEIGHTS entry
+        name: item.name || null // Morphs into the stroke of the same name in other faces
+      };
+    });
+  }
+
+  // Export public interface
+  FaceApp.FaceManifest = {
+    DEFAULT_CANVAS,
+    getManifestPath,
+    isOptionalFeature,
+    parse,
+    load,
+    toUnitPoint,
+    isMultiStroke,
+    readStrokes
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,215 @@
+/**
+ * Face Validator
+ * Checks a face file against what the renderer needs before it is used, so one bad
+ * file can be skipped instead of leaving the canvas blank
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * Creates an issue record
+   * @param {string} severity - 'error' or 'warning'
+   * @param {string} location - Where the problem is (e.g. 'mouth[2]')
+   * @param {string} message - What is wrong
+   * @returns {Object} Issue
+   */
+  function issue(severity, location, message) {
+    return { severity, location, message };
+  }
+
+  /**
+   * Key a shape part is stored under in face files (the head is saved as "face")
+   * @param {string} part - Shape part
+   * @returns {string} JSON key
+   */
+  function getFileKey(part) {
+    return CONFIG.FACES.PARTS[part].KEY || part;
+  }
+
+  /**
+   * Whether a file leaves a part out: no key, or an empty list for an optional part
+   * (the renderer draws both the same way, as nothing)
+   * @param {*} value - Value stored under the part's key
+   * @param {string} part - Shape part
+   * @returns {boolean} True if the part is left out
+   */
+  function isLeftOut(value, part) {
+    if (value === undefined) return true;
+    return !!CONFIG.FACES.PARTS[part].OPTIONAL && Array.isArray(value) && value.length === 0;
+  }
+
+  /**
+   * Shape parts a file has to provide: those of every library it is listed in.
+   * Optional parts are only required from files listed in that feature's own library;
+   * whole-face files may leave them out
+   * @param {Object} manifest - From FaceManifest.parse
+   * @param {string} filePath - Path of the file
+   * @returns {Array} Shape parts
+   */
+  function getRequiredParts(manifest, filePath) {
+    const parts = new Set();
+    Object.entries(manifest.libraries).forEach(([feature, library]) => {
+      if (!library.some(entry => entry.path === filePath)) return;
+
+      // FaceManifest.parse reuses the faces list for features without their own library
+      const ownLibrary = library !== manifest.faces;
+      CONFIG.FACES.LIBRARY_PARTS[feature].forEach(part => {
+        if (ownLibrary || !CONFIG.FACES.PARTS[part].OPTIONAL) {
+          parts.add(part);
+        }
+      });
+    });
+    return [...parts];
+  }
+
+  /**
+   * Check one polyline's points
+   * @param {*} points - The [x, y] pairs
+   * @param {string} part - Shape part
+   * @param {Object} canvas - Manifest canvas conventions
+   * @param {string} location - Where the polyline is (e.g. 'mouth' or 'mouth[1].points')
+   * @returns {Array} Issues
+   */
+  function validatePoints(points, part, canvas, location) {
+    if (!Array.isArray(points)) {
+      return [issue('error', location, 'Must be a list of [x, y] pairs')];
+    }
+
+    const issues = [];
+    const minPoints = CONFIG.FACES.PARTS[part].MIN_POINTS || 2;
+    if (points.length < minPoints) {
+      issues.push(issue('error', location, `Has ${points.length} point(s), needs at least ${minPoints}`));
+    }
+
+    points.forEach((point, i) => {
+      if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+        issues.push(issue('error', `${location}[${i}]`, 'Must be a pair of numbers [x, y]'));
+        return;
+      }
+
+      // The renderer works in [0, 1]; anything outside is drawn off the portrait
+      const { x, y } = FaceApp.FaceManifest.toUnitPoint(point, canvas);
+      if (x < 0 || x > 1 || y < 0 || y > 1) {
+        issues.push(issue('error', `${location}[${i}]`, `[${point.join(', ')}] is outside the ${canvas.width} x ${canvas.height} canvas`));
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Check one stroke of a multi-stroke part
+   * @param {*} stroke - [[x, y], ...] or { points, closed, weight, name }
+   * @param {string} part - Shape part
+   * @param {Object} canvas - Manifest canvas conventions
+   * @param {string} location - Where the stroke is (e.g. 'left_eye[1]')
+   * @returns {Array} Issues
+   */
+  function validateStroke(stroke, part, canvas, location) {
+    if (Array.isArray(stroke)) {
+      return validatePoints(stroke, part, canvas, location);
+    }
+    if (stroke === null || typeof stroke !== 'object') {
+      return [issue('error', location, 'Must be a list of [x, y] pairs or { points, closed, weight }')];
+    }
+
+    const issues = [];
+    if (stroke.closed !== undefined && typeof stroke.closed !== 'boolean') {
+      issues.push(issue('error', `${location}.closed`, 'Must be true or false'));
+    }
+    if (stroke.weight !== undefined && !(Number.isFinite(stroke.weight) && stroke.weight > 0)) {
+      issues.push(issue('error', `${location}.weight`, 'Must be a positive number'));
+    }
+    if (stroke.name !== undefined && typeof stroke.name !== 'string') {
+      issues.push(issue('error', `${location}.name`, 'Must be a string'));
+    }
+
+    return [...issues, ...validatePoints(stroke.points, part, canvas, `${location}.points`)];
+  }
+
+  /**
+   * Check one shape part: a single polyline or a list of strokes
+   * @param {*} value - Value stored under the part's key
+   * @param {string} part - Shape part
+   * @param {Object} canvas - Manifest canvas conventions
+   * @returns {Array} Issues
+   */
+  function validatePart(value, part, canvas) {
+    const key = getFileKey(part);
+
+    if (isLeftOut(value, part)) {
+      return [issue('error', key, 'Missing')];
+    }
+    if (!Array.isArray(value)) {
+      return [issue('error', key, 'Must be a list of [x, y] pairs or a list of strokes')];
+    }
+
+    const multiStroke = FaceApp.FaceManifest.isMultiStroke(value);
+    const issues = multiStroke
+      ? value.flatMap((stroke, i) => validateStroke(stroke, part, canvas, `${key}[${i}]`))
+      : validatePoints(value, part, canvas, key);
+
+    // Sets drawn with a closed head outline should end where they start (the outline
+    // being the first stroke; strokes marked closed are joined up when drawn)
+    if (part === 'head' && canvas.closed_head && issues.length === 0) {
+      const [outline] = FaceApp.FaceManifest.readStrokes(value, canvas);
+      const first = outline.points[0];
+      const last = outline.points[outline.points.length - 1];
+      const gap = Math.hypot(last.x - first.x, last.y - first.y);
+      if (!outline.closed && gap > CONFIG.FACES.VALIDATION.CLOSE_TOLERANCE) {
+        issues.push(issue('warning', multiStroke ? `${key}[0]` : key, `Outline is not closed (ends ${gap.toFixed(3)} from its start)`));
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Check a parsed face file
+   * Parts the file has beyond the required ones are checked too
+   * @param {*} data - Parsed JSON
+   * @param {Array} parts - Shape parts the file must provide (see getRequiredParts)
+   * @param {Object} canvas - Manifest canvas conventions
+   * @param {string} file - File path, copied onto each issue
+   * @returns {Object} { valid, errors, warnings, issues }
+   */
+  function validateFace(data, parts, canvas, file = '') {
+    const isObject = data !== null && typeof data === 'object' && !Array.isArray(data);
+    const present = isObject
+      ? Object.keys(CONFIG.FACES.PARTS).filter(part => !isLeftOut(data[getFileKey(part)], part))
+      : [];
+    const checked = [...new Set([...parts, ...present])];
+
+    const issues = isObject
+      ? checked.flatMap(part => validatePart(data[getFileKey(part)], part, canvas))
+      : [issue('error', '', 'Must be an object of named point lists')];
+
+    issues.forEach(item => { item.file = file; });
+    const errors = issues.filter(i => i.severity === 'error');
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings: issues.filter(i => i.severity === 'warning'),
+      issues
+    };
+  }
+
+  /**
+   * Formats an issue as a single line
+   * @param {Object} item - Issue from validateFace
+   * @returns {string} e.g. "error faces_v2/face_3.json mouth: Missing"
+   */
+  function formatIssue(item) {
+    return `${item.severity} ${item.file ? item.file + ' ' : ''}${item.location ? item.location + ': ' : ''}${item.message}`;
+  }
+
+  // Export public interface
+  FaceApp.FaceValidator = {
+    getFileKey,
+    getRequiredParts,
+    validateFace,
+    formatIssue
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
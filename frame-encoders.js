@@ -0,0 +1,310 @@
+/**
+ * Frame Encoders
+ * Minimal dependency-free writers for animated GIFs and uncompressed ZIP archives
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+
+  /**
+   * Growable byte buffer
+   */
+  class ByteWriter {
+    constructor() {
+      this.bytes = [];
+    }
+
+    byte(b) {
+      this.bytes.push(b & 0xff);
+    }
+
+    u16(v) {
+      this.byte(v);
+      this.byte(v >>> 8);
+    }
+
+    u32(v) {
+      this.u16(v & 0xffff);
+      this.u16(v >>> 16);
+    }
+
+    ascii(str) {
+      for (let i = 0; i < str.length; i++) this.byte(str.charCodeAt(i));
+    }
+
+    append(data) {
+      for (let i = 0; i < data.length; i++) this.bytes.push(data[i]);
+    }
+
+    get length() {
+      return this.bytes.length;
+    }
+
+    toUint8Array() {
+      return Uint8Array.from(this.bytes);
+    }
+  }
+
+  // ========== GIF ==========
+
+  /**
+   * Converts RGBA pixels to 8-bit grayscale palette indices
+   * The portrait is line art on a solid background, so a 256-level gray palette is lossless enough
+   * @param {Uint8ClampedArray|Array} rgba - RGBA pixel data
+   * @returns {Uint8Array} One palette index per pixel
+   */
+  function rgbaToGrayIndices(rgba) {
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < indices.length; i++) {
+      const r = rgba[i * 4];
+      const g = rgba[i * 4 + 1];
+      const b = rgba[i * 4 + 2];
+      indices[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    }
+    return indices;
+  }
+
+  /**
+   * GIF-flavoured LZW compression of palette indices
+   * @param {Uint8Array} indices - Palette indices
+   * @param {number} minCodeSize - LZW minimum code size (8 for a 256-color palette)
+   * @returns {Array} Compressed bytes
+   */
+  function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const emit = code => {
+      bitBuffer |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        out.push(bitBuffer & 0xff);
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    };
+
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = (prefix << 8) | k;
+      const existing = table.get(key);
+      if (existing !== undefined) {
+        prefix = existing;
+        continue;
+      }
+
+      emit(prefix);
+
+      if (nextCode < 4096) {
+        // Widen codes once the table outgrows the current code size
+        if (nextCode >= (1 << codeSize)) codeSize++;
+        table.set(key, nextCode++);
+      } else {
+        // Table full: start over
+        emit(clearCode);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      }
+
+      prefix = k;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) out.push(bitBuffer & 0xff);
+
+    return out;
+  }
+
+  /**
+   * Encodes grayscale frames as a looping animated GIF
+   * @param {Array} frames - Array of Uint8Array palette indices (see rgbaToGrayIndices)
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {Object} opts - Encoding options
+   * @param {number} opts.fps - Frames per second (GIF delays are in 1/100 s)
+   * @param {number} opts.loopCount - 0 = loop forever
+   * @returns {Uint8Array} GIF file bytes
+   */
+  function encodeGIF(frames, width, height, opts = {}) {
+    const { fps = 15, loopCount = 0 } = opts;
+    const delay = Math.max(2, Math.round(100 / fps));
+    const w = new ByteWriter();
+
+    // Header and logical screen descriptor with a 256-entry global color table
+    w.ascii('GIF89a');
+    w.u16(width);
+    w.u16(height);
+    w.byte(0xf7);
+    w.byte(0);
+    w.byte(0);
+
+    // Grayscale palette
+    for (let i = 0; i < 256; i++) {
+      w.byte(i);
+      w.byte(i);
+      w.byte(i);
+    }
+
+    // NETSCAPE2.0 application extension for looping
+    w.byte(0x21);
+    w.byte(0xff);
+    w.byte(11);
+    w.ascii('NETSCAPE2.0');
+    w.byte(3);
+    w.byte(1);
+    w.u16(loopCount);
+    w.byte(0);
+
+    frames.forEach(indices => {
+      // Graphic control extension (frame delay)
+      w.byte(0x21);
+      w.byte(0xf9);
+      w.byte(4);
+      w.byte(0x04); // Disposal: leave in place (every frame is full size)
+      w.u16(delay);
+      w.byte(0);
+      w.byte(0);
+
+      // Image descriptor covering the whole canvas
+      w.byte(0x2c);
+      w.u16(0);
+      w.u16(0);
+      w.u16(width);
+      w.u16(height);
+      w.byte(0);
+
+      // LZW data in sub-blocks of up to 255 bytes
+      const minCodeSize = 8;
+      const data = lzwEncode(indices, minCodeSize);
+      w.byte(minCodeSize);
+      for (let i = 0; i < data.length; i += 255) {
+        const chunk = data.slice(i, i + 255);
+        w.byte(chunk.length);
+        w.append(chunk);
+      }
+      w.byte(0);
+    });
+
+    w.byte(0x3b);
+    return w.toUint8Array();
+  }
+
+  // ========== ZIP ==========
+
+  // CRC-32 lookup table (IEEE polynomial)
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * CRC-32 checksum
+   * @param {Uint8Array} data - Bytes to checksum
+   * @returns {number} Unsigned CRC-32
+   */
+  function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Creates an uncompressed ("stored") ZIP archive
+   * PNG frames are already compressed, so deflating them again gains nothing
+   * @param {Array} files - Array of { name, data: Uint8Array }
+   * @returns {Uint8Array} ZIP file bytes
+   */
+  function createZip(files) {
+    const w = new ByteWriter();
+    const central = [];
+
+    // Fixed DOS timestamp (1980-01-01 00:00) keeps archives byte-identical across runs
+    const dosTime = 0;
+    const dosDate = (1 << 5) | 1;
+
+    files.forEach(file => {
+      const name = Array.from(file.name, c => c.charCodeAt(0));
+      const crc = crc32(file.data);
+      const offset = w.length;
+
+      w.u32(0x04034b50);
+      w.u16(20);
+      w.u16(0);
+      w.u16(0);
+      w.u16(dosTime);
+      w.u16(dosDate);
+      w.u32(crc);
+      w.u32(file.data.length);
+      w.u32(file.data.length);
+      w.u16(name.length);
+      w.u16(0);
+      w.append(name);
+      w.append(file.data);
+
+      central.push({ name, crc, size: file.data.length, offset });
+    });
+
+    const centralOffset = w.length;
+    central.forEach(entry => {
+      w.u32(0x02014b50);
+      w.u16(20);
+      w.u16(20);
+      w.u16(0);
+      w.u16(0);
+      w.u16(dosTime);
+      w.u16(dosDate);
+      w.u32(entry.crc);
+      w.u32(entry.size);
+      w.u32(entry.size);
+      w.u16(entry.name.length);
+      w.u16(0);
+      w.u16(0);
+      w.u16(0);
+      w.u16(0);
+      w.u32(0);
+      w.u32(entry.offset);
+      w.append(entry.name);
+    });
+    const centralSize = w.length - centralOffset;
+
+    // End of central directory record
+    w.u32(0x06054b50);
+    w.u16(0);
+    w.u16(0);
+    w.u16(central.length);
+    w.u16(central.length);
+    w.u32(centralSize);
+    w.u32(centralOffset);
+    w.u16(0);
+
+    return w.toUint8Array();
+  }
+
+  // Export public interface
+  FaceApp.FrameEncoders = {
+    rgbaToGrayIndices,
+    encodeGIF,
+    createZip,
+    crc32
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
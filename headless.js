@@ -0,0 +1,136 @@
+/**
+ * Headless Rendering API
+ * Turns an MBTI vector into SVG without a browser, p5.js or window.FaceApp UI
+ *
+ * Usage (Node):
+ *   const { renderPortrait } = require('./headless.js');
+ *   const { svg } = renderPortrait([0.5, -0.2, 0, 1], { folder: 'faces_v2' });
+ *
+ * Command line:
+ *   node headless.js 0.5 -0.2 0 1 --folder faces_v2 --size 512 > portrait.svg
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Browser modules attach to globalThis.FaceApp when there is no window (load order matters)
+require('./config.js');
+require('./face-manifest.js');
+require('./face-validator.js');
+require('./shapes.js');
+require('./morph.js');
+require('./app-state.js');
+require('./face-generator.js');
+require('./renderer.js');
+
+const FaceApp = globalThis.FaceApp;
+const { CONFIG } = FaceApp;
+
+// Parsed feature libraries per resolved folder path
+const faceSetCache = new Map();
+
+/**
+ * Load and parse the files listed in a folder's manifest
+ * Like the app, files that are missing or fail validation are skipped (reported on stderr)
+ * @param {string} folder - Face folder (absolute, or relative to this file)
+ * @returns {Object} { manifest, libraries, fallback } as FaceGenerator.composeLibraries returns them
+ */
+function loadFaceFolder(folder) {
+  const folderPath = path.resolve(__dirname, folder);
+  if (faceSetCache.has(folderPath)) {
+    return faceSetCache.get(folderPath);
+  }
+
+  // FaceGenerator only needs appState for loadFaceData, which is not used here
+  const faceGenerator = new FaceApp.FaceGenerator(null);
+  const manifestData = JSON.parse(fs.readFileSync(path.join(folderPath, CONFIG.FACES.MANIFEST), 'utf8'));
+  const manifest = FaceApp.FaceManifest.parse(manifestData, folderPath);
+  const faceSetsByPath = new Map();
+  faceGenerator.getLibraryPaths(manifest).forEach(filePath => {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`Skipping ${filePath}: could not load (${error.message})`);
+      return;
+    }
+
+    const faceSet = faceGenerator.checkFaceData(data, manifest, filePath);
+    if (faceSet) {
+      faceSetsByPath.set(filePath, faceSet);
+    }
+  });
+
+  const loaded = faceGenerator.composeLibraries(manifest, faceSetsByPath);
+  faceSetCache.set(folderPath, loaded);
+  return loaded;
+}
+
+/**
+ * Render a portrait for an MBTI vector
+ * @param {Array} mbti - Four values in [-1, 1]: [e_i, s_n, t_f, j_p]
+ * @param {Object} options - Render options
+ * @param {string} options.folder - Face folder (defaults to CONFIG.FACES.PATH)
+ * @param {number} options.size - Width and height of the SVG in pixels
+ * @param {string} options.background - Optional background fill
+ * @returns {Object} { mbti, faceParams, shapeIndices, paths, svg }
+ */
+function renderPortrait(mbti, options = {}) {
+  const {
+    folder = CONFIG.FACES.PATH,
+    size = 512,
+    background = null
+  } = options;
+
+  if (!Array.isArray(mbti) || mbti.length !== 4 || mbti.some(v => typeof v !== 'number' || isNaN(v))) {
+    throw new TypeError('mbti must be an array of 4 numbers [e_i, s_n, t_f, j_p]');
+  }
+
+  // Reuse the app's state logic with a private AppState instance
+  const appState = new FaceApp.AppState();
+  const { manifest, libraries } = loadFaceFolder(folder);
+  appState.setFaceData(libraries, manifest);
+  appState.mbti = mbti.map(v => Math.max(-1, Math.min(1, v)));
+  appState.faceParams = appState.calculateFaceParameters();
+
+  const shapes = appState.buildFaceShapes(appState.faceParams);
+
+  return {
+    mbti: [...appState.mbti],
+    faceParams: { ...appState.faceParams },
+    shapeIndices: appState.getShapeIndices(),
+    paths: FaceApp.Renderer.composeFacePaths(shapes, size / 2, size / 2, size),
+    svg: FaceApp.Renderer.composeFaceSVG(shapes, size, { background })
+  };
+}
+
+module.exports = {
+  renderPortrait,
+  loadFaceFolder
+};
+
+// Command line entry point: print the SVG to stdout
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+  const values = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--folder') {
+      options.folder = args[++i];
+    } else if (args[i] === '--size') {
+      options.size = Number(args[++i]);
+    } else if (args[i] === '--background') {
+      options.background = args[++i];
+    } else {
+      values.push(Number(args[i]));
+    }
+  }
+
+  try {
+    const mbti = values.length ? values : [...CONFIG.MBTI.DEFAULT_VALUES];
+    process.stdout.write(renderPortrait(mbti, options).svg);
+  } catch (error) {
+    console.error('Failed to render portrait:', error.message);
+    process.exit(1);
+  }
+}
@@ -14,11 +14,13 @@
      * Creates a new HexagonUI instance
      * @param {string} canvasId - ID of the canvas element
      * @param {Function} onChange - Callback function for blend weight changes
+     * @param {number} faceCount - Number of faces in the loaded set (one corner each)
      */
-    constructor(canvasId, onChange) {
+    constructor(canvasId, onChange, faceCount) {
       this.canvas = document.getElementById(canvasId);
       this.ctx = this.canvas.getContext('2d');
       this.onChange = onChange;
+      this.faceCount = faceCount;
 
       // Use configuration for geometry
       this.center = {
@@ -27,11 +29,12 @@
       };
       this.radius = CONFIG.HEXAGON_UI.GEOMETRY.RADIUS;
 
-      // Calculate hexagon vertices (6 corners for 6 faces)
+      // Calculate polygon vertices (one corner per face)
       this.vertices = this.calculateVertices();
 
-      // Start at vertex 0 (Face 1) position
-      this.currentPos = { x: this.vertices[0].x, y: this.vertices[0].y };
+      // Start at the default face's corner
+      const start = this.vertices[CONFIG.BLENDING.DEFAULT_FACE] || this.vertices[0];
+      this.currentPos = { x: start.x, y: start.y };
 
       // Initialize the interface
       this.setupEvents();
@@ -45,8 +48,8 @@
      */
     calculateVertices() {
       const vertices = [];
-      for (let i = 0; i < CONFIG.FACES.COUNT; i++) {
-        const angle = (i * Math.PI * 2) / CONFIG.FACES.COUNT + CONFIG.HEXAGON_UI.GEOMETRY.START_ANGLE_OFFSET;
+      for (let i = 0; i < this.faceCount; i++) {
+        const angle = (i * Math.PI * 2) / this.faceCount + CONFIG.HEXAGON_UI.GEOMETRY.START_ANGLE_OFFSET;
         vertices.push({
           x: this.center.x + Math.cos(angle) * this.radius,
           y: this.center.y + Math.sin(angle) * this.radius,
@@ -123,7 +126,7 @@
       const totalWeight = weights.reduce((sum, w) => sum + w, 0);
       const normalizedWeights = totalWeight > 0
         ? weights.map(w => w / totalWeight)
-        : [...CONFIG.BLENDING.DEFAULT_WEIGHTS]; // Use default if no weight
+        : CONFIG.BLENDING.getDefaultWeights(this.faceCount); // Use default if no weight
 
       // Update blend percentage display in UI
       this.updateBlendDisplay(normalizedWeights);
@@ -139,7 +142,7 @@
      * @param {Array} weights - Normalized blend weights
      */
     updateBlendDisplay(weights) {
-      for (let i = 0; i < CONFIG.FACES.COUNT; i++) {
+      for (let i = 0; i < this.faceCount; i++) {
         const percentage = Math.round(weights[i] * 100);
         const element = document.getElementById(`blend${i + 1}`);
         if (element) {
@@ -0,0 +1,174 @@
+/**
+ * Internationalization
+ * Picks the locale (URL override, then browser languages, then the default), loads its
+ * string table from locales/<locale>.json and points chat data files at chat/<locale>/
+ *
+ * Strings use {name} placeholders: t('hint.save', { png: 's', svg: 'v' })
+ * A key missing from the locale's table falls back to the default locale's table.
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  let locale = CONFIG.I18N.DEFAULT_LOCALE;
+  let strings = {};
+  let fallbackStrings = {};
+
+  /**
+   * Match a language tag against the supported locales ("es-MX" matches "es")
+   * @param {string} tag - Language tag
+   * @returns {string|null} Supported locale
+   */
+  function matchLocale(tag) {
+    if (!tag) return null;
+    const code = String(tag).toLowerCase();
+    if (CONFIG.I18N.LOCALES[code]) return code;
+
+    const base = code.split('-')[0];
+    return CONFIG.I18N.LOCALES[base] ? base : null;
+  }
+
+  /**
+   * Choose the locale for this visit
+   * @returns {string} Locale code
+   */
+  function detectLocale() {
+    if (typeof location !== 'undefined') {
+      const requested = new URLSearchParams(location.search).get(CONFIG.I18N.URL_PARAM);
+      const match = matchLocale(requested);
+      if (match) return match;
+      if (requested) {
+        console.warn(`Unsupported locale "${requested}", detecting from the browser instead`);
+      }
+    }
+
+    if (typeof navigator !== 'undefined') {
+      const languages = navigator.languages || [navigator.language];
+      for (const language of languages) {
+        const match = matchLocale(language);
+        if (match) return match;
+      }
+    }
+
+    return CONFIG.I18N.DEFAULT_LOCALE;
+  }
+
+  /**
+   * Path of a data file for the current locale (the default locale uses the path as-is)
+   * @param {string} path - Default-locale path, e.g. "chat/intro.yaml"
+   * @param {string} code - Locale (defaults to the current one)
+   * @returns {string} e.g. "chat/es/intro.yaml"
+   */
+  function localizePath(path, code = locale) {
+    if (code === CONFIG.I18N.DEFAULT_LOCALE) return path;
+    return path.replace(/([^/]+)$/, `${code}/$1`);
+  }
+
+  /**
+   * Fetch a data file for the current locale
+   * @param {string} path - Default-locale path
+   * @param {Object} options - Options
+   * @param {boolean} options.fallback - Use the default locale's file when there is no translation
+   * @returns {Promise<Response>} Response
+   * @throws {Error} If no file could be loaded
+   */
+  async function fetchLocalized(path, options = {}) {
+    const { fallback = true } = options;
+    const localized = localizePath(path);
+
+    const response = await fetch(localized);
+    if (response.ok) return response;
+
+    if (fallback && localized !== path) {
+      console.warn(`No ${locale} translation at ${localized}, using ${path}`);
+      const defaultResponse = await fetch(path);
+      if (defaultResponse.ok) return defaultResponse;
+    }
+    throw new Error(`Could not load ${localized} (${response.status})`);
+  }
+
+  /**
+   * Load a locale's string table
+   * @param {string} code - Locale
+   * @returns {Promise<Object>} Strings (empty if the table is missing)
+   */
+  async function loadStrings(code) {
+    try {
+      const response = await fetch(`${CONFIG.I18N.STRINGS_PATH}/${code}.json`);
+      if (!response.ok) throw new Error(`status ${response.status}`);
+      return await response.json();
+    } catch (error) {
+      console.error(`Failed to load strings for ${code}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Select a locale and load its strings
+   * @param {string} code - Locale (detected when omitted)
+   */
+  async function load(code = detectLocale()) {
+    locale = matchLocale(code) || CONFIG.I18N.DEFAULT_LOCALE;
+
+    fallbackStrings = await loadStrings(CONFIG.I18N.DEFAULT_LOCALE);
+    strings = locale === CONFIG.I18N.DEFAULT_LOCALE ? fallbackStrings : await loadStrings(locale);
+
+    if (typeof document !== 'undefined') {
+      document.documentElement.lang = locale;
+    }
+    console.log(`Locale: ${locale} (${getDirection()})`);
+  }
+
+  /**
+   * Translate a string key
+   * @param {string} key - String table key
+   * @param {Object} params - Values for {name} placeholders
+   * @returns {string} Translated text (the key itself if no table has it)
+   */
+  function t(key, params = {}) {
+    const template = strings[key] !== undefined ? strings[key] : fallbackStrings[key];
+    if (template === undefined) {
+      console.warn(`Missing string "${key}"`);
+      return key;
+    }
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+  }
+
+  /**
+   * Current locale code
+   * @returns {string} Locale
+   */
+  function getLocale() {
+    return locale;
+  }
+
+  /**
+   * Text direction of the current locale
+   * @returns {string} 'rtl' or 'ltr'
+   */
+  function getDirection() {
+    return CONFIG.I18N.LOCALES[locale].DIR === 'rtl' ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Fill in elements marked with data-i18n="key" (their text) in static HTML
+   * @param {HTMLElement} scope - Element to search (defaults to the document)
+   */
+  function applyToDocument(scope = document) {
+    scope.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n);
+    });
+  }
+
+  // Export public interface
+  FaceApp.I18n = {
+    detectLocale,
+    localizePath,
+    fetchLocalized,
+    load,
+    t,
+    getLocale,
+    getDirection,
+    applyToDocument
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -54,6 +54,7 @@
         slider.value = this.values[index];
         slider.style.cssText = `width: 100%; accent-color: #000; ${this.readOnly ? 'pointer-events: none; opacity: 0.6;' : ''}`;
         slider.id = `mbti-slider-${index}`;
+        FaceApp.Accessibility.labelSlider(slider, index);
 
         // Create value display and labels container
         const controlsContainer = document.createElement('div');
@@ -71,6 +72,9 @@
         rightLabel.textContent = dimension.right;
         rightLabel.style.cssText = 'font-size: 10px; color: #666; flex: 1; text-align: right;';
 
+        // The emoji and value labels repeat what the slider's aria-label and aria-valuetext say
+        controlsContainer.setAttribute('aria-hidden', 'true');
+
         // Add event listener (only if not read-only)
         slider.addEventListener('input', (e) => {
           if (this.readOnly) return;
@@ -111,6 +115,12 @@
      * @param {number} index - Index of the slider to update
      */
     updateValueDisplay(index) {
+      // Values set from code (randomize, chat answers) don't fire the slider's input event
+      const slider = document.getElementById(`mbti-slider-${index}`);
+      if (slider) {
+        slider.setAttribute('aria-valuetext', FaceApp.Accessibility.getSliderValueText(index, this.values[index]));
+      }
+
       const valueElement = document.getElementById(`mbti-value-${index}`);
       if (valueElement) {
         const value = this.values[index];
@@ -118,7 +128,7 @@
 
         let displayText;
         if (Math.abs(value) < 0.1) {
-          displayText = 'Neutral';
+          displayText = FaceApp.I18n.t('sliders.neutral');
         } else if (value < 0) {
           displayText = dimension.left.charAt(0) + Math.abs(value).toFixed(1);
         } else {
@@ -213,7 +223,7 @@
 
       // Add title
       const title = document.createElement('div');
-      title.textContent = 'Adjust Your Portrait';
+      title.textContent = FaceApp.I18n.t('sliders.title');
       title.style.cssText = 'font-weight: bold; margin-bottom: 15px; text-align: center; font-size: 14px;';
       phoneSlidersContainer.appendChild(title);
 
@@ -230,9 +240,11 @@
         slider.value = this.values[index];
         slider.style.cssText = 'width: 100%; accent-color: #007AFF; margin-bottom: 5px;';
         slider.id = `phone-slider-${index}`;
+        FaceApp.Accessibility.labelSlider(slider, index);
 
         const labelContainer = document.createElement('div');
         labelContainer.style.cssText = 'display: flex; justify-content: space-between; align-items: center; font-size: 10px;';
+        labelContainer.setAttribute('aria-hidden', 'true');
 
         const leftLabel = document.createElement('span');
         leftLabel.textContent = dimension.left;
@@ -282,6 +294,12 @@
      * Update a specific phone slider value display
      */
     updatePhoneValueDisplay(index) {
+      // Values set from code (randomize, chat answers) don't fire the slider's input event
+      const slider = document.getElementById(`phone-slider-${index}`);
+      if (slider) {
+        slider.setAttribute('aria-valuetext', FaceApp.Accessibility.getSliderValueText(index, this.values[index]));
+      }
+
       const valueElement = document.getElementById(`phone-value-${index}`);
       if (valueElement) {
         const value = this.values[index];
@@ -289,7 +307,7 @@
 
         let displayText;
         if (Math.abs(value) < 0.1) {
-          displayText = 'Neutral';
+          displayText = FaceApp.I18n.t('sliders.neutral');
         } else if (value < 0) {
           displayText = dimension.left.charAt(0) + Math.abs(value).toFixed(1);
         } else {
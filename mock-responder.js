@@ -0,0 +1,127 @@
+/**
+ * Mock Chat Responder Server (Node)
+ * Local stand-in for the HTTP line backend used when CONFIG.CHAT.RESPONDER.TYPE is 'http'
+ *
+ * Answers POST /line with { "text": ... }: a line from the --lines file when it has one
+ * for "kind:key", otherwise the scripted text sent in the request. Latency and failures
+ * can be simulated to try out the typing indicator and the script fallback.
+ *
+ * Usage (Node):
+ *   const { createMockServer } = require('./mock-responder.js');
+ *   const server = createMockServer({ latency: 300 }).listen(8787);
+ *
+ * Command line:
+ *   node mock-responder.js [--port 8787] [--latency 600] [--fail-rate 0.2] [--lines lines.json] [--tag "~ "]
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+
+/**
+ * Pick the line to send back for a request
+ * @param {Object} request - Line request from ChatResponder
+ * @param {Object} options - Server options
+ * @param {Object} options.lines - Replacement lines by "kind:key"
+ * @param {string} options.tag - Prefix added to every line (makes backend lines easy to spot)
+ * @returns {string|null} Line text
+ */
+function getMockLine(request, options = {}) {
+  const { lines = {}, tag = '' } = options;
+  const override = lines[`${request.kind}:${request.key}`];
+  const text = override !== undefined ? override : request.text;
+  return typeof text === 'string' ? tag + text : null;
+}
+
+/**
+ * Create the mock server (call listen() on the result)
+ * @param {Object} options - Server options
+ * @param {number} options.latency - Average milliseconds before answering (varies by +/-50%)
+ * @param {number} options.failRate - Share of requests answered with a 500, from 0 to 1
+ * @param {Object} options.lines - Replacement lines by "kind:key"
+ * @param {string} options.tag - Prefix added to every line
+ * @returns {http.Server} Server
+ */
+function createMockServer(options = {}) {
+  const { latency = 0, failRate = 0 } = options;
+
+  return http.createServer((req, res) => {
+    // The app is served from another port during development
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method !== 'POST' || req.url !== '/line') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'POST /line only' }));
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const delay = latency * (0.5 + Math.random());
+
+      setTimeout(() => {
+        let request;
+        try {
+          request = JSON.parse(body);
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Body must be JSON' }));
+          return;
+        }
+
+        if (Math.random() < failRate) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Simulated failure' }));
+          return;
+        }
+
+        const text = getMockLine(request, options);
+        console.log(`${request.kind}:${request.key} -> ${text}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ text }));
+      }, delay);
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  getMockLine,
+  createMockServer
+};
+
+// Command line entry point: serve until interrupted
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+  let port = DEFAULT_PORT;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') {
+      port = Number(args[++i]);
+    } else if (args[i] === '--latency') {
+      options.latency = Number(args[++i]);
+    } else if (args[i] === '--fail-rate') {
+      options.failRate = Number(args[++i]);
+    } else if (args[i] === '--lines') {
+      options.lines = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), args[++i]), 'utf8'));
+    } else if (args[i] === '--tag') {
+      options.tag = args[++i];
+    }
+  }
+
+  createMockServer(options).listen(port, () => {
+    console.log(`Mock responder listening on http://localhost:${port}/line`);
+  });
+}
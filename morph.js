@@ -111,6 +111,23 @@
     return result;
   }
 
+  /**
+   * Blend two polylines after resampling them to a shared point count
+   * @param {Array} a - First polyline of {x, y} points
+   * @param {Array} b - Second polyline of {x, y} points
+   * @param {number} t - Blend factor (0 = a, 1 = b)
+   * @param {number} N - Shared point count used for the blend
+   * @returns {Array} Blended polyline with N points
+   */
+  function blendPoints(a, b, t, N) {
+    if (!a || !a.length) return b ? clone(b) : [];
+    if (!b || !b.length) return clone(a);
+
+    const ar = resample(a, N);
+    const br = resample(b, N);
+    return ar.map((p, i) => lerpPt(p, br[i], t));
+  }
+
   /**
    * Cubic easing function for smooth animations (ease-out)
    * @param {number} t - Input value (0-1)
@@ -118,6 +135,118 @@
    */
   const easeOutCubic = t => 1 - Math.pow(1 - t, 3);
 
+  // ========== STROKES ==========
+  // Every face part is a list of strokes: { points, closed, weight, name }. weight is null
+  // for the part's configured line weight; opacity is only set on strokes fading in or out
+
+  /**
+   * Get a part as a list of strokes
+   * @param {Array} part - Strokes, or a plain array of {x, y} points (one open stroke)
+   * @returns {Array} Strokes
+   */
+  function toStrokes(part) {
+    if (!part || !part.length) return [];
+    if (part[0].points) return part;
+    return [{ points: part, closed: false, weight: null, name: null }];
+  }
+
+  /**
+   * Transform the points of every stroke in a part
+   * @param {Array} part - Strokes or plain points
+   * @param {Function} fn - Called with each stroke's points, returns the new points
+   * @returns {Array} New strokes
+   */
+  function mapStrokePoints(part, fn) {
+    return toStrokes(part).map(stroke => ({ ...stroke, points: fn(stroke.points) }));
+  }
+
+  /**
+   * Pair up the strokes of two versions of a part
+   * Named strokes pair with the stroke of the same name; the rest, named or not, then pair
+   * up in drawing order, so only strokes one side has more of are left without a partner
+   * @param {Array} a - Strokes to morph from
+   * @param {Array} b - Strokes to morph to
+   * @returns {Array} [{ from, to }], either side null for an unpaired stroke
+   */
+  function matchStrokes(a, b) {
+    const partners = new Array(a.length).fill(-1);
+    const taken = new Set();
+
+    a.forEach((stroke, i) => {
+      if (!stroke.name) return;
+      const j = b.findIndex((other, k) => !taken.has(k) && other.name === stroke.name);
+      if (j >= 0) {
+        partners[i] = j;
+        taken.add(j);
+      }
+    });
+
+    const leftover = b.map((_, k) => k).filter(k => !taken.has(k));
+    a.forEach((stroke, i) => {
+      if (partners[i] >= 0 || leftover.length === 0) return;
+      partners[i] = leftover.shift();
+      taken.add(partners[i]);
+    });
+
+    return [
+      ...a.map((stroke, i) => ({ from: stroke, to: partners[i] >= 0 ? b[partners[i]] : null })),
+      ...b.filter((_, k) => !taken.has(k)).map(stroke => ({ from: null, to: stroke }))
+    ];
+  }
+
+  /**
+   * Morph between two versions of a part: paired strokes change shape, unpaired ones
+   * stay where they are and fade out (only in a) or in (only in b)
+   * @param {Array} a - Strokes or plain points at t = 0
+   * @param {Array} b - Strokes or plain points at t = 1
+   * @param {number} t - Blend factor (0-1)
+   * @param {Function} blend - (pointsA, pointsB, t) => points, for paired strokes
+   * @returns {Array} Strokes (fully transparent ones are left out)
+   */
+  function morphStrokes(a, b, t, blend) {
+    const mix = (v1, v2) => (v1 == null || v2 == null ? (t < 0.5 ? v1 : v2) : v1 + (v2 - v1) * t);
+
+    return matchStrokes(toStrokes(a), toStrokes(b)).flatMap(({ from, to }) => {
+      if (from && to) {
+        return [{
+          points: blend(from.points, to.points, t),
+          closed: t < 0.5 ? from.closed : to.closed,
+          weight: mix(from.weight, to.weight),
+          name: to.name || from.name,
+          opacity: mix(from.opacity ?? 1, to.opacity ?? 1)
+        }];
+      }
+
+      const stroke = from || to;
+      const opacity = (stroke.opacity ?? 1) * (from ? 1 - t : t);
+      return opacity > 0 ? [{ ...stroke, points: clone(stroke.points), opacity }] : [];
+    });
+  }
+
+  /**
+   * Blend two versions of a part, resampling paired strokes to a shared point count
+   * @param {Array} a - First part (strokes or plain points)
+   * @param {Array} b - Second part
+   * @param {number} t - Blend factor (0 = a, 1 = b)
+   * @param {number} N - Shared point count used for each paired stroke
+   * @returns {Array} Blended strokes
+   */
+  function blendStrokes(a, b, t, N) {
+    return morphStrokes(a, b, t, (pointsA, pointsB, f) => blendPoints(pointsA, pointsB, f, N));
+  }
+
   // Export public interface  
-  FaceApp.utils = { resample, lerpPt, clone, dist2, easeOutCubic };
-})(window);
+  FaceApp.utils = {
+    resample,
+    blendPoints,
+    lerpPt,
+    clone,
+    dist2,
+    easeOutCubic,
+    toStrokes,
+    mapStrokePoints,
+    matchStrokes,
+    morphStrokes,
+    blendStrokes
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
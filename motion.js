@@ -0,0 +1,121 @@
+/**
+ * Reduced Motion
+ * Tracks whether the app should keep movement to a minimum: no organic wobble, faces
+ * swapped with a short crossfade instead of a morph, and shorter chat delays.
+ * Follows the system's prefers-reduced-motion until the user flips the toggle, whose
+ * choice is then remembered in localStorage.
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  const listeners = [];
+  let reduced = false;
+
+  /**
+   * Media query for the system setting (null outside a browser)
+   * @returns {MediaQueryList|null} Query
+   */
+  function getMediaQuery() {
+    return typeof matchMedia === 'function' ? matchMedia('(prefers-reduced-motion: reduce)') : null;
+  }
+
+  /**
+   * Choice saved by the toggle
+   * @returns {boolean|null} Saved setting, null if the user never chose
+   */
+  function loadPreference() {
+    try {
+      const saved = localStorage.getItem(CONFIG.MOTION.STORAGE_KEY);
+      return saved === null ? null : saved === 'reduce';
+    } catch (error) {
+      return null; // Storage unavailable (private mode, file://)
+    }
+  }
+
+  /**
+   * Apply a setting and tell listeners if it changed
+   * @param {boolean} value - Reduce motion
+   */
+  function apply(value) {
+    const changed = value !== reduced;
+    reduced = value;
+
+    // Lets the stylesheet switch off CSS animations (see index.html)
+    if (typeof document !== 'undefined') {
+      document.documentElement.classList.toggle('reduced-motion', reduced);
+    }
+
+    if (changed) {
+      console.log(`Reduced motion ${reduced ? 'on' : 'off'}`);
+      listeners.forEach(listener => listener(reduced));
+    }
+  }
+
+  /**
+   * Pick the starting setting: CONFIG override, then the saved toggle, then the system setting
+   */
+  function init() {
+    const query = getMediaQuery();
+    const resolve = () => {
+      if (CONFIG.MOTION.REDUCED !== 'auto') return !!CONFIG.MOTION.REDUCED;
+      const saved = loadPreference();
+      if (saved !== null) return saved;
+      return query ? query.matches : false;
+    };
+
+    apply(resolve());
+
+    // Follow system changes while the user hasn't chosen for themselves
+    if (query && query.addEventListener) {
+      query.addEventListener('change', () => apply(resolve()));
+    }
+  }
+
+  /**
+   * Whether motion is currently reduced
+   * @returns {boolean} True in reduced-motion mode
+   */
+  function isReduced() {
+    return reduced;
+  }
+
+  /**
+   * Turn reduced motion on or off from the UI and remember the choice
+   * @param {boolean} value - Reduce motion
+   */
+  function setReduced(value) {
+    try {
+      localStorage.setItem(CONFIG.MOTION.STORAGE_KEY, value ? 'reduce' : 'full');
+    } catch (error) {
+      console.warn('Could not save the motion setting:', error.message);
+    }
+    apply(!!value);
+  }
+
+  /**
+   * Listen for the setting changing
+   * @param {Function} listener - Called with the new setting
+   */
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  /**
+   * Scale a chat delay for the current setting
+   * @param {number} ms - Delay at full motion
+   * @returns {number} Delay to use
+   */
+  function chatDelay(ms) {
+    return reduced ? ms * CONFIG.MOTION.CHAT_DELAY_SCALE : ms;
+  }
+
+  // Export public interface
+  FaceApp.Motion = {
+    init,
+    isReduced,
+    setReduced,
+    onChange,
+    chatDelay
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
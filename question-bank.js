@@ -0,0 +1,169 @@
+/**
+ * Question Bank
+ * Draws each session's questions from the pool in mbti_questions.json:
+ * a balanced, shuffled subset with shuffled answers, reproducible from a seed
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * Seeded pseudo-random generator (mulberry32)
+   * @param {number} seed - 32-bit integer seed
+   * @returns {Function} Returns a float in [0, 1) on each call
+   */
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Pick a fresh seed for a session
+   * @returns {number} 32-bit integer seed
+   */
+  function createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Fisher-Yates shuffle (returns a new array)
+   * @param {Array} items - Items to shuffle
+   * @param {Function} random - Random source from createRandom
+   * @returns {Array} Shuffled copy
+   */
+  function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Axes a question is tagged with
+   * Uses the question's `axes` list, or else the axes its answers separate most
+   * @param {Object} question - Question from the pool
+   * @returns {Array} Axis names
+   */
+  function getAxisTags(question) {
+    if (Array.isArray(question.axes) && question.axes.length > 0) {
+      return question.axes;
+    }
+
+    const spread = FaceApp.QuestionSelector.getAxisSpread(question);
+    const widest = Math.max(...spread);
+    return widest > 0 ? CONFIG.MBTI.AXES.filter((axis, i) => spread[i] === widest) : [];
+  }
+
+  /**
+   * Shuffle a question's answers, keeping scores and reactions aligned
+   * @param {Object} question - Question from the pool
+   * @param {Function} random - Random source
+   * @returns {Object} Copy of the question with `answerOrder` (original index of each shown answer)
+   */
+  function shuffleAnswers(question, random) {
+    const order = shuffle(question.answers.map((answer, i) => i), random);
+    const reorder = list => (Array.isArray(list) ? order.map(i => list[i]) : list);
+
+    return {
+      ...question,
+      answers: reorder(question.answers),
+      scores: reorder(question.scores),
+      reactions: reorder(question.reactions),
+      answerOrder: order
+    };
+  }
+
+  /**
+   * Draw questions so every axis is covered about equally: each pick goes to the
+   * axis with the fewest drawn questions so far, which takes its next tagged question
+   * @param {Array} pool - Candidate questions
+   * @param {number} count - Number of questions to draw
+   * @param {Function} random - Random source
+   * @returns {Array} Drawn questions, in draw order
+   */
+  function sampleBalanced(pool, count, random) {
+    const picked = new Set();
+    const axes = shuffle(CONFIG.MBTI.AXES, random); // Shuffled so ties do not always favour e_i
+    const coverage = Object.fromEntries(axes.map(axis => [axis, 0]));
+    const queues = Object.fromEntries(axes.map(axis =>
+      [axis, shuffle(pool.filter(question => getAxisTags(question).includes(axis)), random)]));
+    // Untagged questions only fill whatever the axes could not
+    const untagged = shuffle(pool.filter(question => getAxisTags(question).length === 0), random);
+
+    const take = question => {
+      picked.add(question);
+      getAxisTags(question).forEach(axis => {
+        if (axis in coverage) coverage[axis]++;
+      });
+    };
+
+    while (picked.size < count) {
+      axes.forEach(axis => {
+        queues[axis] = queues[axis].filter(question => !picked.has(question));
+      });
+      const open = axes.filter(axis => queues[axis].length > 0);
+      if (open.length === 0) break;
+
+      const axis = open.reduce((least, a) => (coverage[a] < coverage[least] ? a : least));
+      take(queues[axis].shift());
+    }
+
+    untagged.slice(0, count - picked.size).forEach(take);
+    return [...picked];
+  }
+
+  /**
+   * Build a session's question bank from the pool
+   * @param {Array} pool - All questions from the bank file
+   * @param {Object} options - Defaults to CONFIG.CHAT.QUESTION_BANK
+   * @param {number} options.seed - Seed for sampling and shuffling
+   * @param {number} options.sampleSize - Questions per session (null for the whole pool)
+   * @param {boolean} options.shuffleQuestions - Randomize question order
+   * @param {boolean} options.shuffleAnswers - Randomize answer order within each question
+   * @returns {Object} { questions, pool } where pool is every question with answers prepared the same way
+   */
+  function prepare(pool, options = {}) {
+    const config = CONFIG.CHAT.QUESTION_BANK;
+    const {
+      seed = createSeed(),
+      sampleSize = config.SAMPLE_SIZE,
+      shuffleQuestions = config.SHUFFLE_QUESTIONS,
+      shuffleAnswers: shouldShuffleAnswers = config.SHUFFLE_ANSWERS
+    } = options;
+
+    const random = createRandom(seed);
+
+    // Answers are shuffled across the whole pool so intro question nodes match the bank
+    const prepared = shouldShuffleAnswers ? pool.map(question => shuffleAnswers(question, random)) : pool;
+
+    let questions = prepared;
+    if (sampleSize !== null && sampleSize < prepared.length) {
+      const drawn = new Set(sampleBalanced(prepared, sampleSize, random));
+      questions = prepared.filter(question => drawn.has(question));
+    }
+    if (shuffleQuestions) {
+      questions = shuffle(questions, random);
+    }
+
+    return { questions, pool: prepared };
+  }
+
+  // Export public interface
+  FaceApp.QuestionBank = {
+    createRandom,
+    createSeed,
+    shuffle,
+    getAxisTags,
+    shuffleAnswers,
+    sampleBalanced,
+    prepare
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
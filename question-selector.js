@@ -0,0 +1,93 @@
+/**
+ * Question Selector
+ * Adaptive Q&A: measures how far the answers given so far lean on every MBTI axis
+ * and picks the next question for the least-certain axis
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * How strongly a question separates people on each axis: the range of its answers' scores
+   * @param {Object} question - Question from the bank
+   * @returns {Array} Spread per axis, in CONFIG.MBTI.AXES order
+   */
+  function getAxisSpread(question) {
+    const scores = Array.isArray(question.scores) ? question.scores : [];
+
+    return CONFIG.MBTI.AXES.map(axis => {
+      // Answers that do not mention an axis leave it unchanged (0)
+      const values = scores.map(score => (score && typeof score[axis] === 'number' ? score[axis] : 0));
+      return values.length ? Math.max(...values) - Math.min(...values) : 0;
+    });
+  }
+
+  /**
+   * Confidence per axis from the answers given so far: how far the running score
+   * leans either way. Answers that pull in opposite directions cancel out, so an
+   * axis they disagree on stays uncertain
+   * @param {Array} answers - Answers given, each with its axis deltas ({ scores: { e_i, ... } })
+   * @param {number} evidenceTarget - Running score (either sign) that counts as fully confident
+   * @returns {Array} Confidence in [0, 1] per axis
+   */
+  function getConfidence(answers, evidenceTarget) {
+    return CONFIG.MBTI.AXES.map(axis => {
+      const lean = answers.reduce((sum, answer) => sum + ((answer.scores && answer.scores[axis]) || 0), 0);
+      return Math.min(1, Math.abs(lean) / evidenceTarget);
+    });
+  }
+
+  /**
+   * Choose the next question adaptively
+   * @param {Array} questions - Question bank
+   * @param {Array} answers - Answers given so far, bank and intro nodes ({ questionId, scores })
+   * @param {Object} options - Defaults to CONFIG.CHAT.QUESTION_SELECTION.ADAPTIVE
+   * @param {number} options.evidenceTarget - Running score (either sign) that counts as fully confident
+   * @param {number} options.maxQuestions - Question budget
+   * @returns {Object|null} Next question, or null to stop asking
+   */
+  function pickAdaptive(questions, answers, options = {}) {
+    const config = CONFIG.CHAT.QUESTION_SELECTION.ADAPTIVE;
+    const {
+      evidenceTarget = config.EVIDENCE_TARGET,
+      maxQuestions = config.MAX_QUESTIONS
+    } = options;
+
+    if (answers.length >= maxQuestions) return null;
+
+    const answeredIds = answers.map(answer => answer.questionId);
+    const confidence = getConfidence(answers, evidenceTarget);
+    if (confidence.every(c => c >= 1)) return null;
+
+    // Least-certain axis first; ties go to the earlier axis
+    const weakest = confidence.indexOf(Math.min(...confidence));
+
+    let best = null;
+    let bestRank = null;
+    questions.forEach(question => {
+      if (question.id === undefined || answeredIds.includes(question.id)) return;
+
+      const spread = getAxisSpread(question);
+      // Primary: information on the weakest axis; secondary: on all axes still uncertain
+      const rank = [
+        spread[weakest],
+        spread.reduce((sum, s, i) => sum + s * (1 - confidence[i]), 0)
+      ];
+
+      if (!bestRank || rank[0] > bestRank[0] || (rank[0] === bestRank[0] && rank[1] > bestRank[1])) {
+        best = question;
+        bestRank = rank;
+      }
+    });
+
+    // Stop when nothing left can teach us about an uncertain axis
+    return best && bestRank[1] > 0 ? best : null;
+  }
+
+  // Export public interface
+  FaceApp.QuestionSelector = {
+    getAxisSpread,
+    getConfidence,
+    pickAdaptive
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
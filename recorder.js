@@ -0,0 +1,183 @@
+/**
+ * Recorder
+ * Captures the live portrait (organic head motion and any running morph) as an
+ * animated GIF or a zip of PNG frames
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * Recorder class renders frames offline on a fixed time grid, so the output
+   * does not depend on how fast the browser draws
+   */
+  class Recorder {
+    /**
+     * Creates a new Recorder
+     * @param {AppState} appState - Application state (for the movement parameter)
+     * @param {AnimationController} animationController - Source of the current and morphing shapes
+     * @param {Function} addOrganicNoise - Organic noise function (points, time, strength)
+     */
+    constructor(appState, animationController, addOrganicNoise) {
+      this.appState = appState;
+      this.animationController = animationController;
+      this.addOrganicNoise = addOrganicNoise;
+      this.isRecording = false;
+    }
+
+    /**
+     * Record a clip and download it
+     * @param {Object} options - Overrides for CONFIG.RECORDING
+     * @param {string} options.format - 'gif' or 'zip' (PNG frames)
+     * @param {number} options.durationSec - Clip length in seconds
+     * @param {number} options.fps - Frames per second
+     * @param {number} options.size - Frame width and height in pixels
+     * @param {boolean} options.seamlessLoop - Blend the motion so the last frame flows into the first
+     * @param {number} options.timeBase - Noise time (ms) of the first frame
+     */
+    async record(options = {}) {
+      if (this.isRecording) {
+        console.log('Recording already in progress');
+        return;
+      }
+
+      const config = CONFIG.RECORDING;
+      const {
+        format = 'gif',
+        durationSec = config.DURATION_SEC,
+        fps = config.FPS,
+        size = config.SIZE,
+        seamlessLoop = config.SEAMLESS_LOOP,
+        timeBase = config.TIME_BASE
+      } = options;
+
+      if (!this.animationController.getCurrentShapes()) {
+        console.error('No face data available');
+        return;
+      }
+
+      this.isRecording = true;
+
+      try {
+        const frameCount = Math.max(1, Math.round(durationSec * fps));
+        const frameDuration = 1000 / fps;
+        const startTime = timeBase === null || timeBase === undefined ? millis() : timeBase;
+        // Every frame is rendered from this one snapshot, so time spent encoding
+        // between frames does not push the morph ahead
+        const morphSnapshot = this.animationController.captureMorph();
+
+        console.log(`Recording ${frameCount} frames at ${fps} fps (${size}px, ${format})`);
+
+        const pg = createGraphics(size, size);
+        pg.pixelDensity(1);
+
+        const frames = [];
+        for (let i = 0; i < frameCount; i++) {
+          const offset = i * frameDuration;
+          this.renderFrame(pg, offset, startTime, morphSnapshot, frameCount * frameDuration, seamlessLoop);
+
+          if (format === 'gif') {
+            pg.loadPixels();
+            frames.push(FaceApp.FrameEncoders.rgbaToGrayIndices(pg.pixels));
+          } else {
+            frames.push({
+              name: `${CONFIG.UI.FILES.EXPORT_NAME}_${String(i + 1).padStart(4, '0')}.png`,
+              data: await this.canvasToPNG(pg.elt)
+            });
+          }
+
+          // Yield so the page keeps drawing while we encode
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        pg.remove();
+
+        if (format === 'gif') {
+          const bytes = FaceApp.FrameEncoders.encodeGIF(frames, size, size, { fps });
+          this.download(bytes, 'image/gif', `${CONFIG.UI.FILES.EXPORT_NAME}.gif`);
+        } else {
+          const bytes = FaceApp.FrameEncoders.createZip(frames);
+          this.download(bytes, 'application/zip', `${CONFIG.UI.FILES.EXPORT_NAME}_frames.zip`);
+        }
+
+        console.log('Recording complete');
+      } catch (error) {
+        console.error('Recording failed:', error);
+      } finally {
+        this.isRecording = false;
+      }
+    }
+
+    /**
+     * Draw one frame into the buffer
+     * @param {p5.Graphics} pg - Frame buffer
+     * @param {number} offset - Milliseconds since the first frame
+     * @param {number} startTime - Noise time of the first frame
+     * @param {Object} morphSnapshot - AnimationController.captureMorph() taken when recording started
+     * @param {number} loopDuration - Total clip length in milliseconds
+     * @param {boolean} seamlessLoop - Whether to blend toward the start of the loop
+     */
+    renderFrame(pg, offset, startTime, morphSnapshot, loopDuration, seamlessLoop) {
+      const size = pg.width;
+      const facePoints = this.animationController.getShapesAt(offset, morphSnapshot);
+      const movementStrength = (this.appState.faceParams.movement || 0) * 0.5 + 0.5;
+
+      let head = facePoints.head;
+      if (CONFIG.ANIMATION.ORGANIC_NOISE.ENABLED) {
+        head = FaceApp.utils.mapStrokePoints(facePoints.head, points => {
+          const moved = this.addOrganicNoise(points, startTime + offset, movementStrength);
+          if (!seamlessLoop) return moved;
+
+          // Crossfade toward the motion one loop earlier: at the end of the clip this
+          // equals the first frame's motion, so playback wraps without a jump
+          const earlier = this.addOrganicNoise(points, startTime + offset - loopDuration, movementStrength);
+          const t = offset / loopDuration;
+          return moved.map((p, i) => FaceApp.utils.lerpPt(p, earlier[i], t));
+        });
+      }
+
+      const points = { ...facePoints, head };
+
+      pg.background(CONFIG.CANVAS.BACKGROUND_COLOR);
+      FaceApp.Renderer.composeFace(pg, points, size / 2, size / 2, size);
+    }
+
+    /**
+     * Encode a canvas as PNG bytes
+     * @param {HTMLCanvasElement} canvas - Canvas to encode
+     * @returns {Promise<Uint8Array>} PNG file bytes
+     */
+    canvasToPNG(canvas) {
+      return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+          if (!blob) {
+            reject(new Error('Could not encode frame as PNG'));
+            return;
+          }
+          blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+        }, 'image/png');
+      });
+    }
+
+    /**
+     * Download bytes as a file
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} type - MIME type
+     * @param {string} filename - Download file name
+     */
+    download(bytes, type, filename) {
+      const blob = new Blob([bytes], { type });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      // Revoked on the next tick: some browsers start the download asynchronously
+      setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    }
+  }
+
+  // Export the Recorder
+  FaceApp.Recorder = Recorder;
+})(window);
@@ -6,10 +6,26 @@
   const FaceApp = (root.FaceApp = root.FaceApp || {});
   const { CONFIG } = FaceApp;
 
+  /**
+   * Applies an opacity to a stroke color
+   * @param {p5.Graphics} pg - p5.js graphics buffer the color is used on
+   * @param {*} color - Stroke color (config value or p5.Color)
+   * @param {number} opacity - Opacity from 0 to 1
+   * @returns {*} The color unchanged at full opacity, otherwise a p5.Color
+   */
+  function withOpacity(pg, color, opacity) {
+    if (opacity >= 1) return color;
+    const faded = pg.color(color);
+    faded.setAlpha(pg.alpha(faded) * opacity);
+    return faded;
+  }
+
   /**
    * Draws a polyline (series of connected points) on the graphics buffer
+   * Also draws a list of strokes ({ points, closed, weight, opacity }), where each
+   * stroke's own closed flag and weight win over opts and its opacity fades opts.stroke
    * @param {p5.Graphics} pg - p5.js graphics buffer to draw on
-   * @param {Array} pts - Array of {x, y} points to draw
+   * @param {Array} pts - Array of {x, y} points to draw, or a list of strokes
    * @param {number} cx - Center X coordinate for positioning
    * @param {number} cy - Center Y coordinate for positioning  
    * @param {number} w - Width scaling factor
@@ -23,6 +39,17 @@
       stroke = CONFIG.VISUAL.STROKE_COLOR
     } = opts;
 
+    if (pts.length > 0 && pts[0].points) {
+      pts.forEach(item => {
+        drawPolyline(pg, item.points, cx, cy, w, h, {
+          close: item.closed || close,
+          weight: item.weight ?? weight,
+          stroke: withOpacity(pg, stroke, item.opacity ?? 1)
+        });
+      });
+      return;
+    }
+
     pg.push();
     pg.translate(cx, cy);
     pg.noFill();
@@ -43,37 +70,40 @@
     pg.pop();
   }
 
+  /**
+   * Face features in drawing order with their line weight and scaling config keys
+   * (from CONFIG.FACES.PARTS)
+   */
+  const FEATURES = Object.entries(CONFIG.FACES.PARTS).map(([name, part]) => ({
+    name,
+    weight: part.WEIGHT,
+    scaling: part.SCALING
+  }));
+
   /**
    * Renders a complete face by drawing all components with proper scaling and positioning
    * @param {p5.Graphics} pg - p5.js graphics buffer to draw on
-   * @param {Object} parts - Face parts containing head, left_eye, right_eye, mouth
+   * @param {Object} parts - Face parts keyed like CONFIG.FACES.PARTS, as strokes or plain points (missing parts are skipped)
    * @param {number} cx - Center X coordinate
    * @param {number} cy - Center Y coordinate
    * @param {number} size - Overall face size
+   * @param {Object} opts - Drawing options
+   * @param {number} opts.opacity - Stroke opacity from 0 to 1 (used by the reduced-motion crossfade)
    */
-  function composeFace(pg, parts, cx, cy, size) {
-    // Draw head outline with configured scaling and positioning
-    const headScaled = scaleAndPositionPoints(parts.head, CONFIG.VISUAL.SCALING.HEAD);
-    drawPolyline(pg, headScaled, cx, cy, size, size, {
-      weight: CONFIG.VISUAL.LINE_WEIGHTS.HEAD
-    });
-
-    // Draw left eye with configured scaling and positioning
-    const leftEyeScaled = scaleAndPositionPoints(parts.left_eye, CONFIG.VISUAL.SCALING.LEFT_EYE);
-    drawPolyline(pg, leftEyeScaled, cx, cy, size, size, {
-      weight: CONFIG.VISUAL.LINE_WEIGHTS.EYES
-    });
-
-    // Draw right eye with configured scaling and positioning
-    const rightEyeScaled = scaleAndPositionPoints(parts.right_eye, CONFIG.VISUAL.SCALING.RIGHT_EYE);
-    drawPolyline(pg, rightEyeScaled, cx, cy, size, size, {
-      weight: CONFIG.VISUAL.LINE_WEIGHTS.EYES
-    });
+  function composeFace(pg, parts, cx, cy, size, opts = {}) {
+    const { opacity = 1 } = opts;
+    const stroke = withOpacity(pg, CONFIG.VISUAL.STROKE_COLOR, opacity);
 
-    // Draw mouth with configured scaling and positioning
-    const mouthScaled = scaleAndPositionPoints(parts.mouth, CONFIG.VISUAL.SCALING.MOUTH);
-    drawPolyline(pg, mouthScaled, cx, cy, size, size, {
-      weight: CONFIG.VISUAL.LINE_WEIGHTS.MOUTH
+    // Draw each feature with its configured scaling, positioning and line weight
+    FEATURES.forEach(feature => {
+      const strokes = FaceApp.utils.toStrokes(parts[feature.name]);
+      if (strokes.length === 0) return;
+      const scaling = CONFIG.VISUAL.SCALING[feature.scaling];
+      const scaled = FaceApp.utils.mapStrokePoints(strokes, points => scaleAndPositionPoints(points, scaling));
+      drawPolyline(pg, scaled, cx, cy, size, size, {
+        weight: CONFIG.VISUAL.LINE_WEIGHTS[feature.weight],
+        stroke
+      });
     });
   }
 
@@ -90,10 +120,123 @@
     }));
   }
 
+  /**
+   * Formats a coordinate for SVG output with fixed precision so identical input gives identical text
+   * @param {number} n - Number to format
+   * @returns {string} Formatted number
+   */
+  function formatNumber(n) {
+    const fixed = n.toFixed(3);
+    return fixed === '-0.000' ? '0' : String(Number(fixed));
+  }
+
+  /**
+   * Converts a stroke color from config (grayscale number or CSS string) to an SVG color
+   * @param {number|string} color - Stroke color
+   * @returns {string} SVG color value
+   */
+  function toSVGColor(color) {
+    return typeof color === 'number' ? `rgb(${color}, ${color}, ${color})` : String(color);
+  }
+
+  /**
+   * Builds SVG path data for a polyline using the same coordinate mapping as drawPolyline
+   * @param {Array} pts - Array of {x, y} points
+   * @param {number} cx - Center X coordinate for positioning
+   * @param {number} cy - Center Y coordinate for positioning
+   * @param {number} w - Width scaling factor
+   * @param {number} h - Height scaling factor
+   * @param {boolean} close - Whether to close the path
+   * @returns {string} SVG path data ('' for an empty polyline)
+   */
+  function polylineToPathData(pts, cx, cy, w, h, close = false) {
+    if (!pts || pts.length === 0) return '';
+
+    const commands = pts.map((p, i) => {
+      const x = formatNumber(cx + (p.x - 0.5) * w);
+      const y = formatNumber(cy + (p.y - 0.5) * h);
+      return `${i === 0 ? 'M' : 'L'}${x} ${y}`;
+    });
+
+    return commands.join(' ') + (close ? ' Z' : '');
+  }
+
+  /**
+   * Name of a stroke's path (its SVG id)
+   * @param {string} part - Shape part the stroke belongs to
+   * @param {Object} stroke - Stroke, with the name from the face file if it has one
+   * @param {number} index - Position of the stroke in its part
+   * @returns {string} e.g. 'left_eye', 'left_eye-pupil' or 'left_eye-2'
+   */
+  function getStrokePathName(part, stroke, index) {
+    if (stroke.name) {
+      // Keep the id attribute valid whatever the file calls the stroke
+      return `${part}-${String(stroke.name).replace(/[^\w-]/g, '_')}`;
+    }
+    return index === 0 ? part : `${part}-${index + 1}`;
+  }
+
+  /**
+   * Composes a face as SVG path data, one entry per stroke
+   * Strokes with a name in the face file are called after it ('left_eye-pupil'); otherwise a
+   * feature's first stroke is named after the feature and later ones get a number ('left_eye-2')
+   * @param {Object} parts - Face parts keyed like CONFIG.FACES.PARTS, as strokes or plain points
+   * @param {number} cx - Center X coordinate
+   * @param {number} cy - Center Y coordinate
+   * @param {number} size - Overall face size
+   * @returns {Array} Array of { name, d, weight, opacity } objects in drawing order
+   */
+  function composeFacePaths(parts, cx, cy, size) {
+    return FEATURES.flatMap(feature => {
+      const scaling = CONFIG.VISUAL.SCALING[feature.scaling];
+      return FaceApp.utils.toStrokes(parts[feature.name]).map((stroke, i) => ({
+        name: getStrokePathName(feature.name, stroke, i),
+        d: polylineToPathData(scaleAndPositionPoints(stroke.points, scaling), cx, cy, size, size, stroke.closed),
+        weight: stroke.weight ?? CONFIG.VISUAL.LINE_WEIGHTS[feature.weight],
+        opacity: stroke.opacity ?? 1
+      }));
+    });
+  }
+
+  /**
+   * Composes a face as a standalone SVG document with one <path> per feature
+   * @param {Object} parts - Face parts keyed like CONFIG.FACES.PARTS
+   * @param {number} size - Width and height of the square SVG
+   * @param {Object} opts - Options
+   * @param {string} opts.background - Optional background fill (omitted when not set)
+   * @returns {string} SVG markup
+   */
+  function composeFaceSVG(parts, size, opts = {}) {
+    const { background = null } = opts;
+    const stroke = toSVGColor(CONFIG.VISUAL.STROKE_COLOR);
+    const dimension = formatNumber(size);
+
+    const lines = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${dimension}" height="${dimension}" viewBox="0 0 ${dimension} ${dimension}">`
+    ];
+
+    if (background) {
+      lines.push(`  <rect width="100%" height="100%" fill="${background}"/>`);
+    }
+
+    composeFacePaths(parts, size / 2, size / 2, size).forEach(path => {
+      if (!path.d) return;
+      // Only strokes caught mid-fade carry an opacity
+      const opacity = path.opacity < 1 ? ` stroke-opacity="${formatNumber(path.opacity)}"` : '';
+      lines.push(`  <path id="${path.name}" d="${path.d}" fill="none" stroke="${stroke}" stroke-width="${formatNumber(path.weight)}"${opacity} stroke-linecap="round" stroke-linejoin="miter"/>`);
+    });
+
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+  }
+
   // Export public interface
   FaceApp.Renderer = {
     drawPolyline,
     composeFace,
-    scaleAndPositionPoints
+    scaleAndPositionPoints,
+    polylineToPathData,
+    composeFacePaths,
+    composeFaceSVG
   };
-})(window);
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,204 @@
+/**
+ * Results Summary
+ * Builds the card shown after the Q&A: the four-letter type, how far each axis leans,
+ * which face each feature was drawn from, and the answers that moved each axis most
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * Letters for each axis from the dimension names ("E/I" -> ['E', 'I'])
+   * @returns {Array} [negative letter, positive letter] per axis
+   */
+  function getAxisLetters() {
+    return CONFIG.MBTI.DIMENSIONS.map(dimension => dimension.name.split('/'));
+  }
+
+  /**
+   * How far each axis leans and to which side
+   * @param {Array} mbti - Values in [-1, 1], in CONFIG.MBTI.AXES order
+   * @returns {Array} { axis, letter, percent, letters } per axis ('X' when exactly balanced)
+   */
+  function getAxisBreakdown(mbti) {
+    const letters = getAxisLetters();
+
+    return CONFIG.MBTI.AXES.map((axis, i) => {
+      const value = Math.max(-1, Math.min(1, mbti[i] || 0));
+      const letter = value < 0 ? letters[i][0] : value > 0 ? letters[i][1] : 'X';
+      return {
+        axis,
+        letter,
+        percent: Math.round(50 + Math.abs(value) * 50), // Share of the leaning side
+        letters: letters[i]
+      };
+    });
+  }
+
+  /**
+   * Four-letter type for MBTI values
+   * @param {Array} mbti - Values in [-1, 1]
+   * @returns {string} e.g. "INFP"
+   */
+  function getType(mbti) {
+    return getAxisBreakdown(mbti).map(entry => entry.letter).join('');
+  }
+
+  /**
+   * Library entry behind each feature
+   * @param {Object} shapeIndices - From AppState.getShapeIndices (fractional in continuous mode)
+   * @param {Object} libraries - Manifest library entries ({ file, name }) per feature, in score order
+   * @returns {Array} { feature, file, name, blend } where blend names the second entry and its share when mixing two
+   */
+  function describeFeatures(shapeIndices, libraries) {
+    return Object.entries(shapeIndices).map(([feature, position]) => {
+      const lower = Math.floor(position);
+      const t = position - lower;
+      const faces = libraries[feature] || [];
+      const face = index => faces[index] || { file: '', name: '' };
+
+      return {
+        feature,
+        file: face(lower).file,
+        name: face(lower).name,
+        blend: t > 0 && faces[lower + 1]
+          ? { file: face(lower + 1).file, name: face(lower + 1).name, share: Math.round(t * 100) }
+          : null
+      };
+    });
+  }
+
+  /**
+   * The answers that moved each axis furthest, in either direction
+   * @param {Array} answers - ChatUI answers: { questionId, answerIndex, scores, text }
+   * @param {Function} findQuestion - Looks up a question by id
+   * @param {number} perAxis - Answers to keep per axis
+   * @returns {Object} { axis: [{ question, answer, delta }] }
+   */
+  function getTopAnswers(answers, findQuestion, perAxis = CONFIG.CHAT.RESULTS.TOP_ANSWERS) {
+    const top = {};
+
+    CONFIG.MBTI.AXES.forEach(axis => {
+      top[axis] = answers
+        .filter(answer => answer.scores && answer.scores[axis])
+        .map(answer => {
+          const question = findQuestion(answer.questionId);
+          const text = answer.text !== undefined
+            ? answer.text
+            : question && question.answers[answer.answerIndex];
+          return { question: question ? question.question : '', answer: text || '', delta: answer.scores[axis] };
+        })
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+        .slice(0, perAxis);
+    });
+
+    return top;
+  }
+
+  /**
+   * Collect everything the card shows
+   * @param {Object} data - Quiz results
+   * @param {Array} data.mbti - Final MBTI values (AppState.mbti)
+   * @param {Object} data.shapeIndices - Feature file positions (AppState.getShapeIndices), optional
+   * @param {Object} data.libraries - Manifest library entries (AppState.faceManifest.libraries), needed with shapeIndices
+   * @param {Array} data.answers - ChatUI answers
+   * @param {Function} data.findQuestion - Looks up a question by id
+   * @returns {Object} { type, axes, features, topAnswers }
+   */
+  function build({ mbti, shapeIndices = null, libraries = null, answers = [], findQuestion = () => null }) {
+    return {
+      type: getType(mbti),
+      axes: getAxisBreakdown(mbti),
+      features: shapeIndices && libraries ? describeFeatures(shapeIndices, libraries) : [],
+      topAnswers: getTopAnswers(answers, findQuestion)
+    };
+  }
+
+  /**
+   * Render a summary as a chat card
+   * @param {Object} summary - From build
+   * @returns {HTMLElement} Card element
+   */
+  function createCard(summary) {
+    const { t } = FaceApp.I18n;
+    const card = document.createElement('div');
+    card.className = 'results-card';
+    card.style.cssText = `
+      margin: ${CONFIG.CHAT.BUBBLES.PABLO.MARGIN.Y}px ${CONFIG.CHAT.BUBBLES.PABLO.MARGIN.X}px;
+      padding: ${CONFIG.CHAT.BUBBLES.PABLO.PADDING.Y}px ${CONFIG.CHAT.BUBBLES.PABLO.PADDING.X}px;
+      border: 1px solid ${CONFIG.CHAT.BUBBLES.USER.BACKGROUND};
+      border-radius: ${CONFIG.CHAT.BUBBLES.PABLO.BORDER_RADIUS}px;
+      font-family: ${CONFIG.CHAT.TEXT.FONT_FAMILY};
+      font-size: ${CONFIG.CHAT.TEXT.SPEAKER_FONT_SIZE}px;
+      line-height: ${CONFIG.CHAT.TEXT.LINE_HEIGHT};
+      animation: fadeIn ${CONFIG.CHAT.ANIMATION.BUBBLE_APPEAR_DURATION}s ease-out;
+    `;
+
+    const addLine = (content, style = '') => {
+      const line = document.createElement('div');
+      line.textContent = content;
+      line.style.cssText = style;
+      card.appendChild(line);
+      return line;
+    };
+    const addHeading = content => addLine(content, `margin-top: 8px; color: ${CONFIG.CHAT.TEXT.SPEAKER_COLOR};`);
+
+    addLine(t('results.title'), `color: ${CONFIG.CHAT.TEXT.SPEAKER_COLOR};`);
+    addLine(summary.type, 'font-size: 28px; font-weight: 600; letter-spacing: 4px;');
+
+    // One bar per axis, filled towards the side it leans
+    summary.axes.forEach(entry => {
+      const dimension = CONFIG.MBTI.DIMENSIONS[CONFIG.MBTI.AXES.indexOf(entry.axis)];
+      const label = entry.letter === 'X'
+        ? `${entry.letters.join('/')} ${t('results.balanced')}`
+        : `${entry.letter} ${entry.percent}%`;
+      addLine(`${dimension.left} ${label} ${dimension.right}`, 'margin-top: 4px;');
+
+      const track = document.createElement('div');
+      track.style.cssText = 'position: relative; height: 4px; background: #ddd; border-radius: 2px;';
+      const fill = document.createElement('div');
+      const leansRight = entry.letter === entry.letters[1];
+      fill.style.cssText = `
+        position: absolute;
+        top: 0;
+        ${leansRight ? 'inset-inline-end' : 'inset-inline-start'}: 0;
+        width: ${entry.percent}%;
+        height: 100%;
+        background: ${CONFIG.CHAT.BUBBLES.PABLO.BACKGROUND};
+        border-radius: 2px;
+      `;
+      track.appendChild(fill);
+      card.appendChild(track);
+    });
+
+    if (summary.features.length > 0) {
+      addHeading(t('results.features'));
+      summary.features.forEach(({ feature, name, blend }) => {
+        addLine(blend ? `${feature}: ${name} + ${blend.share}% ${blend.name}` : `${feature}: ${name}`);
+      });
+    }
+
+    const movers = CONFIG.MBTI.AXES.filter(axis => summary.topAnswers[axis].length > 0);
+    if (movers.length > 0) {
+      addHeading(t('results.answers'));
+      movers.forEach(axis => {
+        const letters = getAxisLetters()[CONFIG.MBTI.AXES.indexOf(axis)];
+        summary.topAnswers[axis].forEach(({ answer, delta }) => {
+          addLine(`${delta < 0 ? letters[0] : letters[1]} ← "${answer}"`);
+        });
+      });
+    }
+
+    return card;
+  }
+
+  // Export public interface
+  FaceApp.ResultsSummary = {
+    getType,
+    getAxisBreakdown,
+    describeFeatures,
+    getTopAnswers,
+    build,
+    createCard
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,91 @@
+/**
+ * Score Normalizer
+ * Turns accumulated Q&A answer scores into MBTI values in [-1, 1]
+ * using the range each question could have contributed
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * Lowest and highest score a question's answers give on each axis
+   * (an answer that does not mention an axis counts as 0)
+   * @param {Object} question - Question from the bank
+   * @returns {Array} { min, max } per axis, in CONFIG.MBTI.AXES order
+   */
+  function getQuestionRange(question) {
+    const scores = Array.isArray(question.scores) ? question.scores : [];
+
+    return CONFIG.MBTI.AXES.map(axis => {
+      const values = scores.map(score => (score && typeof score[axis] === 'number' ? score[axis] : 0));
+      return values.length
+        ? { min: Math.min(0, ...values), max: Math.max(0, ...values) }
+        : { min: 0, max: 0 };
+    });
+  }
+
+  /**
+   * Theoretical total range per axis if every question were answered
+   * @param {Array} questions - Question bank
+   * @returns {Array} { min, max } per axis
+   */
+  function getBankRange(questions) {
+    return sumRanges(questions.map(getQuestionRange));
+  }
+
+  function sumRanges(ranges) {
+    return CONFIG.MBTI.AXES.map((axis, i) => ranges.reduce(
+      (total, range) => ({ min: total.min + range[i].min, max: total.max + range[i].max }),
+      { min: 0, max: 0 }
+    ));
+  }
+
+  /**
+   * Position of a score within a range, keeping 0 at 0
+   * Positive scores are scaled by the maximum, negative ones by the minimum
+   */
+  function scaleToRange(value, range) {
+    if (value > 0) return range.max > 0 ? Math.min(1, value / range.max) : 1;
+    if (value < 0) return range.min < 0 ? Math.max(-1, value / -range.min) : -1;
+    return 0;
+  }
+
+  /**
+   * Normalize accumulated answers
+   * @param {Array} entries - One per answer: { scores: { e_i, ... }, range: per-axis { min, max } }
+   * @param {Object} options - Normalization options
+   * @param {string} options.method - 'range', 'bank', 'average' or 'clamp' (see CONFIG.CHAT.SCORE_NORMALIZATION)
+   * @param {Array} options.bankRange - Per-axis range of the whole bank (needed for 'bank')
+   * @returns {Array} MBTI values in [-1, 1], in CONFIG.MBTI.AXES order
+   */
+  function normalize(entries, options = {}) {
+    const { method = CONFIG.CHAT.SCORE_NORMALIZATION, bankRange = null } = options;
+    const axes = CONFIG.MBTI.AXES;
+
+    const raw = axes.map(axis => entries.reduce((sum, entry) => sum + (entry.scores[axis] || 0), 0));
+
+    if (method === 'average') {
+      return axes.map((axis, i) => {
+        // Only answers whose question could move this axis take part in its average
+        const positions = entries
+          .filter(entry => entry.range[i].min < 0 || entry.range[i].max > 0)
+          .map(entry => scaleToRange(entry.scores[axis] || 0, entry.range[i]));
+        return positions.length ? positions.reduce((a, b) => a + b, 0) / positions.length : 0;
+      });
+    }
+
+    if (method === 'range' || (method === 'bank' && bankRange)) {
+      const totals = method === 'bank' ? bankRange : sumRanges(entries.map(entry => entry.range));
+      return raw.map((value, i) => scaleToRange(value, totals[i]));
+    }
+
+    return raw.map(value => Math.max(-1, Math.min(1, value)));
+  }
+
+  // Export public interface
+  FaceApp.ScoreNormalizer = {
+    getQuestionRange,
+    getBankRange,
+    normalize
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
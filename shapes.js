@@ -1,7 +1,7 @@
 /**
  * Shapes module for face component libraries
  * Contains predefined shape libraries and import/export functionality
- * Note: Currently not actively used by the main app but available for development tools
+ * The main app only uses LIB for its built-in face when no face files load
  */
 (function (root) {
   const FaceApp = (root.FaceApp = root.FaceApp || {});
@@ -145,4 +145,4 @@
     exportJSON,
     importJSONFile
   };
-})(window);
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,97 @@
+/**
+ * Share Link Module
+ * Encodes the portrait's MBTI vector and face folder in the URL hash
+ * Format: #mbti=0.50,-0.20,0.00,1.00&faces=faces_v2
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  // Folder names are used as fetch paths, so only allow plain names
+  const FOLDER_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+  /**
+   * Builds the hash for a portrait state
+   * @param {Object} state - Portrait state
+   * @param {Array} state.mbti - Four values in [-1, 1]
+   * @param {string} state.folder - Face folder
+   * @returns {string} Hash including the leading '#'
+   */
+  function encode(state) {
+    const params = new URLSearchParams();
+    params.set('mbti', state.mbti.map(v => v.toFixed(CONFIG.SHARE.PRECISION)).join(','));
+    if (state.folder) {
+      params.set('faces', state.folder);
+    }
+    // Keep commas readable in the address bar
+    return '#' + params.toString().replace(/%2C/g, ',');
+  }
+
+  /**
+   * Parses a hash produced by encode
+   * @param {string} hash - Location hash (with or without the leading '#')
+   * @returns {Object|null} { mbti, folder } or null if the hash holds no valid portrait
+   */
+  function decode(hash) {
+    if (!hash) return null;
+
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const mbtiText = params.get('mbti');
+    if (!mbtiText) return null;
+
+    // Number('') is 0, so blank parts of a truncated link are rejected before converting
+    const parts = mbtiText.split(',');
+    const mbti = parts.map(Number);
+    if (mbti.length !== 4 || parts.some(v => v.trim() === '') || mbti.some(v => isNaN(v))) {
+      console.warn('Ignoring invalid MBTI values in share link:', mbtiText);
+      return null;
+    }
+
+    const folder = params.get('faces');
+    if (folder && !FOLDER_PATTERN.test(folder)) {
+      console.warn('Ignoring invalid face folder in share link:', folder);
+    }
+
+    return {
+      mbti: mbti.map(v => Math.max(-1, Math.min(1, v))),
+      folder: folder && FOLDER_PATTERN.test(folder) ? folder : null
+    };
+  }
+
+  /**
+   * Replaces the current URL hash without adding a history entry
+   * @param {Object} state - Portrait state (see encode)
+   */
+  function write(state) {
+    const hash = encode(state);
+    if (window.location.hash !== hash) {
+      history.replaceState(null, '', hash);
+    }
+  }
+
+  /**
+   * Removes the portrait from the URL
+   */
+  function clear() {
+    if (window.location.hash) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  }
+
+  /**
+   * Reads the portrait state from the current URL
+   * @returns {Object|null} { mbti, folder } or null
+   */
+  function read() {
+    return decode(window.location.hash);
+  }
+
+  // Export public interface
+  FaceApp.ShareLink = {
+    encode,
+    decode,
+    write,
+    clear,
+    read
+  };
+})(window);
@@ -0,0 +1,128 @@
+/**
+ * Text Scorer
+ * Scores a typed answer offline against the keyword lexicon in chat/mbti_lexicon.json
+ *
+ * Lexicon terms are words or phrases with a weight per axis (negative = E/S/T/J,
+ * positive = I/N/F/P). A trailing * matches any ending ("organi*" matches "organized").
+ * A negation shortly before a term flips it; an intensifier right before it scales it.
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+  const { CONFIG } = FaceApp;
+
+  /**
+   * Splits text into lowercase word tokens (apostrophes are kept: "don't")
+   * @param {string} text - Typed answer
+   * @returns {Array} Tokens
+   */
+  function tokenize(text) {
+    return String(text).toLowerCase().replace(/[‘’]/g, "'").match(/[a-z0-9']+/g) || [];
+  }
+
+  /**
+   * Turns the lexicon's axis tables into a list of terms, longest first
+   * @param {Object} lexicon - Parsed lexicon file
+   * @returns {Array} { words, prefix, weights: { axis: weight } }
+   */
+  function compile(lexicon) {
+    const terms = new Map();
+
+    Object.entries(lexicon.axes || {}).forEach(([axis, table]) => {
+      Object.entries(table || {}).forEach(([term, weight]) => {
+        const key = term.toLowerCase().trim();
+        if (!terms.has(key)) {
+          terms.set(key, {
+            words: key.replace(/\*$/, '').split(/\s+/),
+            prefix: key.endsWith('*'),
+            weights: {}
+          });
+        }
+        terms.get(key).weights[axis] = weight;
+      });
+    });
+
+    // Phrases are tried before the single words inside them
+    return [...terms.values()].sort((a, b) => b.words.length - a.words.length);
+  }
+
+  // Compiled terms per lexicon object
+  const compiled = new WeakMap();
+
+  function getTerms(lexicon) {
+    if (!compiled.has(lexicon)) {
+      compiled.set(lexicon, compile(lexicon));
+    }
+    return compiled.get(lexicon);
+  }
+
+  /**
+   * Whether a term matches the tokens starting at a position
+   */
+  function matchesAt(term, tokens, start) {
+    if (start + term.words.length > tokens.length) return false;
+
+    return term.words.every((word, i) => {
+      const token = tokens[start + i];
+      const isLast = i === term.words.length - 1;
+      return token === word || (isLast && term.prefix && token.startsWith(word));
+    });
+  }
+
+  /**
+   * Scores a typed answer
+   * @param {string} text - Typed answer
+   * @param {Object} lexicon - Parsed lexicon file
+   * @param {Object} options - Defaults to CONFIG.CHAT.FREE_TEXT
+   * @param {number} options.maxDelta - Largest change on a single axis
+   * @param {number} options.negationWindow - How many words back a negation still applies
+   * @returns {Object} { scores: { axis: delta } for the axes that moved, matches: [{ term, axis, weight }] }
+   */
+  function score(text, lexicon, options = {}) {
+    const config = CONFIG.CHAT.FREE_TEXT;
+    const {
+      maxDelta = config.MAX_DELTA,
+      negationWindow = config.NEGATION_WINDOW
+    } = options;
+
+    const tokens = tokenize(text);
+    const terms = getTerms(lexicon);
+    const negations = new Set(lexicon.negations || []);
+    const intensifiers = lexicon.intensifiers || {};
+
+    const totals = {};
+    const matches = [];
+    let i = 0;
+
+    while (i < tokens.length) {
+      const term = terms.find(t => matchesAt(t, tokens, i));
+      if (!term) {
+        i++;
+        continue;
+      }
+
+      const negated = tokens.slice(Math.max(0, i - negationWindow), i).some(token => negations.has(token));
+      const intensity = i > 0 && typeof intensifiers[tokens[i - 1]] === 'number' ? intensifiers[tokens[i - 1]] : 1;
+      const factor = (negated ? -1 : 1) * intensity;
+
+      Object.entries(term.weights).forEach(([axis, weight]) => {
+        totals[axis] = (totals[axis] || 0) + weight * factor;
+        matches.push({ term: tokens.slice(i, i + term.words.length).join(' '), axis, weight: weight * factor });
+      });
+      i += term.words.length;
+    }
+
+    const scores = {};
+    CONFIG.MBTI.AXES.forEach(axis => {
+      const value = Math.round(Math.max(-maxDelta, Math.min(maxDelta, totals[axis] || 0)) * 100) / 100;
+      if (value !== 0) scores[axis] = value;
+    });
+
+    return { scores, matches };
+  }
+
+  // Export public interface
+  FaceApp.TextScorer = {
+    tokenize,
+    score
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
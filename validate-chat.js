@@ -0,0 +1,98 @@
+/**
+ * Chat Data Validation (Node)
+ * Runs the browser's ChatValidator against the intro script, question bank and typed-answer lexicon
+ *
+ * Command line:
+ *   node validate-chat.js [--intro chat/intro.yaml] [--questions chat/mbti_questions.json]
+ *                         [--lexicon chat/mbti_lexicon.json] [--locale es]
+ *
+ * --locale checks that locale's translations (chat/<locale>/...) instead of the default files;
+ * a locale without its own lexicon has typed answers disabled, so the lexicon is skipped
+ *
+ * Exits with status 1 if any errors are found (warnings alone pass)
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Browser modules attach to globalThis.FaceApp when there is no window
+require('./config.js');
+require('./i18n.js');
+require('./yaml-parser.js');
+require('./chat-conditions.js');
+require('./chat-validator.js');
+
+const FaceApp = globalThis.FaceApp;
+const { CONFIG } = FaceApp;
+
+/**
+ * Load and validate chat data files
+ * @param {Object} options - File paths (relative to the working directory unless absolute;
+ *   the defaults are the app's own files, found next to this script)
+ * @param {string} options.intro - Intro YAML script
+ * @param {string} options.questions - MBTI question bank JSON
+ * @param {string} options.lexicon - Keyword lexicon JSON
+ * @param {string} options.locale - Locale whose translated files are the defaults
+ * @returns {Object} Result from ChatValidator.validate, with parse failures reported as errors
+ */
+function validateFiles(options = {}) {
+  const localize = file => FaceApp.I18n.localizePath(file, options.locale || CONFIG.I18N.DEFAULT_LOCALE);
+  const {
+    intro = localize(CONFIG.CHAT.FILES.INTRO_YAML),
+    questions = localize(CONFIG.CHAT.FILES.MBTI_QUESTIONS),
+    lexicon = localize(CONFIG.CHAT.FILES.MBTI_LEXICON)
+  } = options;
+  // Paths given by the caller are relative to where they run it; only the defaults live next to this script
+  const resolve = (file, key) => path.resolve(options[key] ? process.cwd() : __dirname, file);
+  const skipLexicon = options.locale && !options.lexicon && !fs.existsSync(resolve(lexicon, 'lexicon'));
+
+  const parseErrors = [];
+  const load = (file, key, parse) => {
+    try {
+      return parse(fs.readFileSync(resolve(file, key), 'utf8'));
+    } catch (error) {
+      parseErrors.push({ severity: 'error', file, location: 'file', message: error.message });
+      // Files that fail to parse are left out of validation
+      return undefined;
+    }
+  };
+
+  const result = FaceApp.ChatValidator.validate({
+    intro: load(intro, 'intro', FaceApp.YAML.parse),
+    questions: load(questions, 'questions', JSON.parse),
+    lexicon: skipLexicon ? undefined : load(lexicon, 'lexicon', JSON.parse)
+  }, { intro, questions, lexicon });
+
+  return {
+    valid: result.valid && parseErrors.length === 0,
+    errors: [...parseErrors, ...result.errors],
+    warnings: result.warnings,
+    issues: [...parseErrors, ...result.issues]
+  };
+}
+
+module.exports = {
+  validateFiles
+};
+
+// Command line entry point: print issues and exit non-zero on errors
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--intro') {
+      options.intro = args[++i];
+    } else if (args[i] === '--questions') {
+      options.questions = args[++i];
+    } else if (args[i] === '--lexicon') {
+      options.lexicon = args[++i];
+    } else if (args[i] === '--locale') {
+      options.locale = args[++i];
+    }
+  }
+
+  const result = validateFiles(options);
+  result.issues.forEach(item => console.log(FaceApp.ChatValidator.formatIssue(item)));
+  console.log(`${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+  process.exit(result.valid ? 0 : 1);
+}
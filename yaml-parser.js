@@ -0,0 +1,718 @@
+/**
+ * YAML Subset Parser
+ * Parses the YAML used by chat scripts: block and flow mappings and sequences,
+ * quoted and plain scalars, literal (|) and folded (>) multi-line strings, and comments.
+ * Anchors, aliases, tags and multiple documents are not supported.
+ */
+(function (root) {
+  const FaceApp = (root.FaceApp = root.FaceApp || {});
+
+  /**
+   * Error raised for malformed YAML, carrying the 1-based line number
+   */
+  class YAMLError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {number} line - 1-based line number (omit if unknown)
+     */
+    constructor(message, line) {
+      super(line ? `Line ${line}: ${message}` : message);
+      this.name = 'YAMLError';
+      this.line = line || null;
+    }
+  }
+
+  // ========== SCANNING HELPERS ==========
+
+  /**
+   * Whether a quote or bracket at this position starts a new token
+   * (so apostrophes inside plain words like "don't" are not quotes)
+   */
+  function isTokenStart(text, i) {
+    return i === 0 || /[\s\[\]{},:]/.test(text[i - 1]);
+  }
+
+  /**
+   * Walks a line, calling visit(char, index, depth) for every character outside quotes
+   * @param {string} text - Line content
+   * @param {Function} visit - Return true to stop scanning
+   * @returns {number} Index where scanning stopped, or -1
+   */
+  function scanOutsideQuotes(text, visit) {
+    let quote = null;
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+
+      if (quote) {
+        if (quote === '"' && c === '\\') {
+          i++;
+        } else if (c === quote) {
+          // '' is an escaped quote inside single-quoted strings
+          if (quote === "'" && text[i + 1] === "'") {
+            i++;
+          } else {
+            quote = null;
+          }
+        }
+        continue;
+      }
+
+      if ((c === '"' || c === "'") && isTokenStart(text, i)) {
+        quote = c;
+        continue;
+      }
+
+      if ((c === '[' || c === '{') && isTokenStart(text, i)) {
+        depth++;
+      } else if ((c === ']' || c === '}') && depth > 0) {
+        depth--;
+      }
+
+      if (visit(c, i, depth)) return i;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Removes a trailing comment (# preceded by whitespace, outside quotes)
+   * @param {string} text - Line content
+   * @returns {string} Content without the comment, right-trimmed
+   */
+  function stripComment(text) {
+    const index = scanOutsideQuotes(text, (c, i) => c === '#' && (i === 0 || /\s/.test(text[i - 1])));
+    return (index === -1 ? text : text.slice(0, index)).trimEnd();
+  }
+
+  /**
+   * Finds the colon separating a block mapping key from its value
+   * @param {string} text - Line content
+   * @returns {number} Index of the colon, or -1 if the line is not a mapping entry
+   */
+  function findMappingColon(text) {
+    return scanOutsideQuotes(text, (c, i, depth) =>
+      c === ':' && depth === 0 && (i + 1 === text.length || text[i + 1] === ' '));
+  }
+
+  /**
+   * Whether a line is a block sequence item
+   */
+  function isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  /**
+   * Converts a plain (unquoted) scalar to null, boolean, number or string
+   * @param {string} text - Trimmed scalar text
+   * @returns {*} Resolved value
+   */
+  function resolvePlain(text) {
+    if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+    if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+    return text;
+  }
+
+  const DOUBLE_QUOTE_ESCAPES = {
+    '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v',
+    'f': '\f', 'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\'
+  };
+
+  /**
+   * Reads a quoted scalar starting at text[start]
+   * Raw line breaks are folded: a single break becomes a space, each extra (blank) line a newline
+   * @param {string} text - Source text (may contain raw line breaks)
+   * @param {number} start - Index of the opening quote
+   * @param {Function} fail - Called with (message, offset) to raise an error
+   * @returns {Object} { value, end } where end is the index after the closing quote
+   */
+  function readQuoted(text, start, fail) {
+    const quote = text[start];
+    let value = '';
+    // Length of value that escapes produced, so folding never trims escaped whitespace
+    let protectedLength = 0;
+    let i = start + 1;
+
+    while (i < text.length) {
+      const c = text[i];
+
+      if (c === '\n') {
+        let breaks = 0;
+        while (i < text.length && /[ \t\n]/.test(text[i])) {
+          if (text[i] === '\n') breaks++;
+          i++;
+        }
+        value = value.slice(0, protectedLength) + value.slice(protectedLength).replace(/[ \t]+$/, '');
+        value += breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+        continue;
+      }
+
+      if (quote === "'" && c === "'") {
+        if (text[i + 1] === "'") {
+          value += "'";
+          i += 2;
+          continue;
+        }
+        return { value, end: i + 1 };
+      }
+
+      if (quote === '"' && c === '"') {
+        return { value, end: i + 1 };
+      }
+
+      if (quote === '"' && c === '\\') {
+        const next = text[i + 1];
+        if (next === '\n') {
+          // Escaped line break: join lines without a space
+          i += 2;
+          while (text[i] === ' ' || text[i] === '\t') i++;
+          continue;
+        }
+        if (next === 'x' || next === 'u' || next === 'U') {
+          const length = { x: 2, u: 4, U: 8 }[next];
+          const hex = text.slice(i + 2, i + 2 + length);
+          if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+            fail(`Invalid escape "\\${next}${hex}"`, i);
+          }
+          value += String.fromCodePoint(parseInt(hex, 16));
+          i += 2 + length;
+        } else {
+          if (!(next in DOUBLE_QUOTE_ESCAPES)) {
+            fail(`Invalid escape "\\${next === undefined ? '' : next}"`, i);
+          }
+          value += DOUBLE_QUOTE_ESCAPES[next];
+          i += 2;
+        }
+        protectedLength = value.length;
+        continue;
+      }
+
+      value += c;
+      i++;
+    }
+
+    fail(`Unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`, start);
+    return null;
+  }
+
+  // ========== FLOW COLLECTIONS ==========
+
+  /**
+   * Parser for flow collections: { key: value, ... } and [a, b, ...]
+   */
+  class FlowParser {
+    /**
+     * @param {string} text - Flow text (lines joined with \n)
+     * @param {number} lineNumber - Line number of the first character
+     */
+    constructor(text, lineNumber) {
+      this.text = text;
+      this.lineNumber = lineNumber;
+      this.i = 0;
+    }
+
+    fail(message, offset = this.i) {
+      const line = this.lineNumber + (this.text.slice(0, offset).match(/\n/g) || []).length;
+      throw new YAMLError(message, line);
+    }
+
+    skipWhitespace() {
+      while (this.i < this.text.length && /\s/.test(this.text[this.i])) this.i++;
+    }
+
+    parse() {
+      const value = this.parseValue();
+      this.skipWhitespace();
+      if (this.i < this.text.length) {
+        this.fail(`Unexpected "${this.text[this.i]}" after flow collection`);
+      }
+      return value;
+    }
+
+    parseValue(isKey = false) {
+      this.skipWhitespace();
+      const c = this.text[this.i];
+
+      if (c === undefined) this.fail('Unexpected end of flow collection');
+      if (c === '{') return this.parseMapping();
+      if (c === '[') return this.parseSequence();
+
+      if (c === '"' || c === "'") {
+        const { value, end } = readQuoted(this.text, this.i, (message, offset) => this.fail(message, offset));
+        this.i = end;
+        return value;
+      }
+
+      // Plain scalar: runs until a flow indicator (or ": " when reading a key)
+      const start = this.i;
+      while (this.i < this.text.length) {
+        const ch = this.text[this.i];
+        if (ch === ',' || ch === ']' || ch === '}') break;
+        if (ch === ':' && (isKey || /[\s,\]}]/.test(this.text[this.i + 1] || ' '))) break;
+        this.i++;
+      }
+      const plain = this.text.slice(start, this.i).replace(/\s*\n\s*/g, ' ').trim();
+      return isKey ? plain : resolvePlain(plain);
+    }
+
+    parseMapping() {
+      const start = this.i;
+      const result = {};
+      this.i++;
+
+      while (true) {
+        this.skipWhitespace();
+        if (this.i >= this.text.length) this.fail('Unterminated flow mapping (missing "}")', start);
+        if (this.text[this.i] === '}') {
+          this.i++;
+          return result;
+        }
+
+        const keyOffset = this.i;
+        const key = this.parseValue(true);
+        if (key === '' || key === null) this.fail('Missing key in flow mapping', keyOffset);
+        if (Object.prototype.hasOwnProperty.call(result, key)) {
+          this.fail(`Duplicate key "${key}"`, keyOffset);
+        }
+
+        this.skipWhitespace();
+        let value = null;
+        if (this.text[this.i] === ':') {
+          this.i++;
+          this.skipWhitespace();
+          if (this.text[this.i] !== ',' && this.text[this.i] !== '}') {
+            value = this.parseValue();
+          }
+        }
+        result[key] = value;
+
+        this.skipWhitespace();
+        if (this.text[this.i] === ',') {
+          this.i++;
+        } else if (this.text[this.i] !== '}') {
+          this.fail(`Expected "," or "}" in flow mapping, found ${this.describeCurrent()}`);
+        }
+      }
+    }
+
+    parseSequence() {
+      const start = this.i;
+      const result = [];
+      this.i++;
+
+      while (true) {
+        this.skipWhitespace();
+        if (this.i >= this.text.length) this.fail('Unterminated flow sequence (missing "]")', start);
+        if (this.text[this.i] === ']') {
+          this.i++;
+          return result;
+        }
+
+        result.push(this.parseValue());
+
+        this.skipWhitespace();
+        if (this.text[this.i] === ',') {
+          this.i++;
+        } else if (this.text[this.i] !== ']') {
+          this.fail(`Expected "," or "]" in flow sequence, found ${this.describeCurrent()}`);
+        }
+      }
+    }
+
+    describeCurrent() {
+      return this.i < this.text.length ? `"${this.text[this.i]}"` : 'end of input';
+    }
+  }
+
+  // ========== BLOCK STRUCTURE ==========
+
+  /**
+   * Line-based parser for block mappings, sequences and scalars
+   */
+  class BlockParser {
+    /**
+     * @param {string} text - YAML source
+     */
+    constructor(text) {
+      this.lines = text.replace(/\r\n?/g, '\n').split('\n').map((raw, index) => {
+        const indent = raw.length - raw.replace(/^[ \t]*/, '').length;
+        return {
+          number: index + 1,
+          raw,
+          indent: raw.slice(0, indent).replace(/\t/g, '').length === indent ? indent : -1,
+          text: stripComment(raw.slice(indent))
+        };
+      });
+      this.pos = 0;
+    }
+
+    /**
+     * Returns the next line with content (skipping blanks, comments and document markers)
+     * @returns {Object|null} Line or null at end of input
+     */
+    peek() {
+      while (this.pos < this.lines.length) {
+        const line = this.lines[this.pos];
+        if (line.text !== '' && !(line.indent === 0 && (line.text === '---' || line.text === '...'))) {
+          if (line.indent === -1) {
+            throw new YAMLError('Tabs are not allowed for indentation', line.number);
+          }
+          return line;
+        }
+        this.pos++;
+      }
+      return null;
+    }
+
+    parseDocument() {
+      const first = this.peek();
+      if (!first) return null;
+
+      const value = this.parseNode(first.indent);
+
+      const extra = this.peek();
+      if (extra) {
+        throw new YAMLError(`Unexpected content "${extra.text}"`, extra.number);
+      }
+      return value;
+    }
+
+    /**
+     * Parses the block node whose first line is at exactly this indent
+     * @param {number} indent - Indent of the node
+     * @returns {*} Parsed value
+     */
+    parseNode(indent) {
+      const line = this.peek();
+      if (isSequenceItem(line.text)) return this.parseSequence(indent);
+      if (findMappingColon(line.text) !== -1) return this.parseMapping(indent);
+
+      // A lone scalar or flow collection
+      this.pos++;
+      return this.parseValue(line.text, line, indent - 1);
+    }
+
+    parseMapping(indent) {
+      const result = {};
+
+      let line;
+      while ((line = this.peek()) && line.indent >= indent) {
+        if (line.indent > indent) {
+          throw new YAMLError('Unexpected indentation', line.number);
+        }
+        if (isSequenceItem(line.text)) {
+          throw new YAMLError('Expected "key: value" but found a list item', line.number);
+        }
+
+        const colon = findMappingColon(line.text);
+        if (colon === -1) {
+          throw new YAMLError(`Expected "key: value", found "${line.text}"`, line.number);
+        }
+
+        const key = this.parseKey(line.text.slice(0, colon).trim(), line);
+        if (Object.prototype.hasOwnProperty.call(result, key)) {
+          throw new YAMLError(`Duplicate key "${key}"`, line.number);
+        }
+
+        const valueText = line.text.slice(colon + 1).trim();
+        this.pos++;
+
+        if (valueText !== '') {
+          result[key] = this.parseValue(valueText, line, indent);
+          continue;
+        }
+
+        // Value on the following lines: a nested block, a list at the same indent, or null
+        const next = this.peek();
+        if (next && next.indent > indent) {
+          result[key] = this.parseNode(next.indent);
+        } else if (next && next.indent === indent && isSequenceItem(next.text)) {
+          result[key] = this.parseSequence(indent);
+        } else {
+          result[key] = null;
+        }
+      }
+
+      return result;
+    }
+
+    parseSequence(indent) {
+      const result = [];
+
+      let line;
+      while ((line = this.peek()) && line.indent >= indent) {
+        if (line.indent > indent) {
+          throw new YAMLError('Unexpected indentation', line.number);
+        }
+        if (!isSequenceItem(line.text)) break;
+
+        const rest = line.text.slice(1);
+        const content = rest.trimStart();
+
+        if (content === '') {
+          // Item content on the following lines
+          this.pos++;
+          const next = this.peek();
+          result.push(next && next.indent > indent ? this.parseNode(next.indent) : null);
+        } else if (isSequenceItem(content) || findMappingColon(content) !== -1) {
+          // "- key: value" or "- - item": reparse this line as a block starting where the content does
+          line.indent = indent + 1 + (rest.length - content.length);
+          line.text = content;
+          result.push(this.parseNode(line.indent));
+        } else {
+          this.pos++;
+          result.push(this.parseValue(content, line, indent));
+        }
+      }
+
+      return result;
+    }
+
+    parseKey(text, line) {
+      if (text === '') {
+        throw new YAMLError('Missing key before ":"', line.number);
+      }
+      if (text[0] === '"' || text[0] === "'") {
+        const { value, end } = readQuoted(text, 0, message => {
+          throw new YAMLError(message, line.number);
+        });
+        if (end !== text.length) {
+          throw new YAMLError(`Unexpected text after quoted key "${value}"`, line.number);
+        }
+        return value;
+      }
+      return text;
+    }
+
+    /**
+     * Parses an inline value (after "key:" or "- "), consuming any continuation lines
+     * @param {string} text - Value text on the current line
+     * @param {Object} line - Line the value starts on
+     * @param {number} parentIndent - Indent of the owning key or list item
+     * @returns {*} Parsed value
+     */
+    parseValue(text, line, parentIndent) {
+      const blockScalar = text.match(/^([|>])([+-]?)$/);
+      if (blockScalar) {
+        return this.parseBlockScalar(blockScalar[1], blockScalar[2], parentIndent);
+      }
+      if (/^[|>]/.test(text)) {
+        throw new YAMLError(`Unsupported block scalar header "${text}" (use |, |-, |+, >, >- or >+)`, line.number);
+      }
+
+      if (text[0] === '{' || text[0] === '[') {
+        return new FlowParser(this.collectFlowText(text, line), line.number).parse();
+      }
+
+      if (text[0] === '"' || text[0] === "'") {
+        return this.parseQuotedValue(text, line);
+      }
+
+      if (/^[&*!]/.test(text)) {
+        throw new YAMLError('Anchors, aliases and tags are not supported', line.number);
+      }
+
+      return this.parsePlainValue(text, line, parentIndent);
+    }
+
+    /**
+     * Joins the lines of a flow collection until its brackets balance
+     */
+    collectFlowText(text, line) {
+      let flowText = text;
+
+      while (this.bracketBalance(flowText) > 0) {
+        if (this.pos >= this.lines.length) {
+          throw new YAMLError(`Unterminated flow collection (missing "${text[0] === '{' ? '}' : ']'}")`, line.number);
+        }
+        flowText += '\n' + stripComment(this.lines[this.pos].raw.trim());
+        this.pos++;
+      }
+
+      return flowText;
+    }
+
+    bracketBalance(text) {
+      let balance = 0;
+      let quote = null;
+
+      for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+          if (quote === '"' && c === '\\') i++;
+          else if (c === quote) quote = null;
+        } else if ((c === '"' || c === "'") && isTokenStart(text, i)) {
+          quote = c;
+        } else if (c === '{' || c === '[') {
+          balance++;
+        } else if (c === '}' || c === ']') {
+          balance--;
+        }
+      }
+
+      // An open quote means the collection continues on the next line
+      return quote ? Math.max(balance, 1) : balance;
+    }
+
+    /**
+     * Parses a quoted scalar, which may continue over following lines
+     */
+    parseQuotedValue(text, line) {
+      let source = text;
+
+      while (true) {
+        let unterminated = false;
+        const result = readQuoted(source, 0, (message, offset) => {
+          if (message.startsWith('Unterminated')) {
+            unterminated = true;
+            return;
+          }
+          throw new YAMLError(message, line.number + (source.slice(0, offset).match(/\n/g) || []).length);
+        });
+
+        if (!unterminated) {
+          // Raw continuation lines may still carry a comment after the closing quote
+          const trailing = stripComment(source.slice(result.end)).trim();
+          if (trailing !== '') {
+            throw new YAMLError(`Unexpected text "${trailing}" after quoted string`, line.number);
+          }
+          return result.value;
+        }
+
+        if (this.pos >= this.lines.length) {
+          throw new YAMLError(`Unterminated ${text[0] === '"' ? 'double' : 'single'}-quoted string`, line.number);
+        }
+        source += '\n' + this.lines[this.pos].raw;
+        this.pos++;
+      }
+    }
+
+    /**
+     * Parses a plain scalar; more-indented following lines are folded into it with spaces
+     */
+    parsePlainValue(text, line, parentIndent) {
+      const parts = [text];
+      let pendingBreaks = 0;
+
+      while (this.pos < this.lines.length) {
+        const next = this.lines[this.pos];
+        if (next.text === '') {
+          pendingBreaks++;
+          this.pos++;
+          continue;
+        }
+        if (next.indent <= parentIndent) break;
+        if (findMappingColon(next.text) !== -1 || isSequenceItem(next.text)) {
+          throw new YAMLError('Unexpected indentation (a multi-line value cannot contain "key: value" or list items)', next.number);
+        }
+
+        parts.push(pendingBreaks > 0 ? '\n'.repeat(pendingBreaks) : ' ');
+        parts.push(next.text);
+        pendingBreaks = 0;
+        this.pos++;
+      }
+
+      // Blank lines that were not followed by more text belong to whatever comes next
+      this.pos -= pendingBreaks;
+
+      return parts.length === 1 ? resolvePlain(text) : parts.join('');
+    }
+
+    /**
+     * Parses a literal (|) or folded (>) block scalar
+     * @param {string} style - '|' or '>'
+     * @param {string} chomping - '' (clip), '-' (strip) or '+' (keep)
+     * @param {number} parentIndent - Indent of the owning key or list item
+     */
+    parseBlockScalar(style, chomping, parentIndent) {
+      const contentLines = [];
+      let blockIndent = null;
+
+      while (this.pos < this.lines.length) {
+        const { raw, number } = this.lines[this.pos];
+
+        if (raw.trim() === '') {
+          contentLines.push('');
+          this.pos++;
+          continue;
+        }
+
+        const indent = raw.length - raw.trimStart().length;
+        if (blockIndent === null) {
+          if (indent <= parentIndent) break;
+          if (/^ *\t/.test(raw)) {
+            throw new YAMLError('Tabs are not allowed for indentation', number);
+          }
+          blockIndent = indent;
+        }
+        if (indent < blockIndent) break;
+
+        contentLines.push(raw.slice(blockIndent));
+        this.pos++;
+      }
+
+      // Trailing blank lines are governed by chomping, and may belong to the next node
+      let trailingBlanks = 0;
+      while (contentLines.length && contentLines[contentLines.length - 1] === '') {
+        contentLines.pop();
+        trailingBlanks++;
+      }
+      this.pos -= chomping === '+' ? 0 : trailingBlanks;
+
+      let content;
+      if (style === '|') {
+        content = contentLines.join('\n');
+      } else {
+        // Folded: a single break between text lines becomes a space, blank lines become
+        // newlines, and more-indented lines keep their breaks
+        content = '';
+        let blanks = 0;
+        let started = false;
+        let previousMoreIndented = false;
+        contentLines.forEach(text => {
+          if (text === '') {
+            blanks++;
+            return;
+          }
+          const moreIndented = /^\s/.test(text);
+          if (!started) {
+            content += '\n'.repeat(blanks);
+          } else if (moreIndented || previousMoreIndented) {
+            content += '\n'.repeat(blanks + 1);
+          } else {
+            content += blanks === 0 ? ' ' : '\n'.repeat(blanks);
+          }
+          content += text;
+          blanks = 0;
+          started = true;
+          previousMoreIndented = moreIndented;
+        });
+      }
+
+      if (content === '') return '';
+      if (chomping === '-') return content;
+      if (chomping === '+') return content + '\n'.repeat(trailingBlanks + 1);
+      return content + '\n';
+    }
+  }
+
+  /**
+   * Parses a YAML document
+   * @param {string} text - YAML source
+   * @returns {*} Parsed value (null for an empty document)
+   * @throws {YAMLError} With the offending line number
+   */
+  function parse(text) {
+    return new BlockParser(String(text)).parseDocument();
+  }
+
+  // Export public interface
+  FaceApp.YAML = {
+    parse,
+    YAMLError
+  };
+})(typeof window !== 'undefined' ? window : globalThis);